@@ -0,0 +1,159 @@
+import 'dotenv/config';
+import { readFileSync } from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('Accounts').info;
+
+export const DEFAULT_ACCOUNT_NAME = 'default';
+const ACCOUNT_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const DEFAULT_PORTAL = 'local-carrier';
+// Landing page card titles (h4.card-title) per portal. BAYAN_PORTAL_TITLES (JSON) adds or overrides entries.
+const BUILTIN_PORTAL_TITLES = {
+  'local-carrier': 'Local Carrier',
+  'international-carrier': 'International Carrier',
+  shipper: 'Shipper',
+};
+
+let accountsCache = null;
+
+/**
+ * Resolve "env:NAME" references so secrets can stay in the environment
+ * while the profile list lives in a JSON file.
+ */
+function resolveValue(v) {
+  if (typeof v !== 'string') return v;
+  const s = v.trim();
+  if (s.startsWith('env:')) {
+    const name = s.slice('env:'.length).trim();
+    const envVal = process.env[name];
+    return typeof envVal === 'string' ? envVal.trim() : '';
+  }
+  return s;
+}
+
+function normalizePolicy(v) {
+  return String(v || '').trim().toLowerCase() === 'sms' ? 'SMS' : 'Email';
+}
+
+function normalizeProfile(name, raw = {}) {
+  const p = raw && typeof raw === 'object' ? raw : {};
+  return {
+    name,
+    identityNumber: resolveValue(p.identityNumber) || '',
+    password: resolveValue(p.password) || '',
+    otpSender: resolveValue(p.otpSender) || process.env.BAYAN_OTP_SENDER || 'NoReply@logisti.sa',
+    mailbox: resolveValue(p.mailbox) || process.env.USER_EMAIL || '',
+    portal: resolveValue(p.portal) || process.env.BAYAN_PORTAL || DEFAULT_PORTAL,
+    // Bayan second-factor channel (#Policy on the login form): "Email" or "SMS".
+    otpPolicy: normalizePolicy(resolveValue(p.otpPolicy) || process.env.BAYAN_OTP_POLICY),
+    phone: resolveValue(p.phone) || process.env.BAYAN_PHONE || '',
+    // "email" reads the OTP from the mailbox; "manual" waits for POST /otp.
+    otpMode: (resolveValue(p.otpMode) || process.env.OTP_MODE || 'email').toLowerCase(),
+    // Mailbox backend for otpMode "email": "graph" (Microsoft Graph) or "imap".
+    emailProvider: (resolveValue(p.emailProvider) || process.env.OTP_EMAIL_PROVIDER || 'graph').toLowerCase(),
+    // Per-account IMAP overrides (host, port, secure, user, password, inbox, junk); IMAP_* env vars fill the rest.
+    imap: p.imap && typeof p.imap === 'object'
+      ? Object.fromEntries(Object.entries(p.imap).map(([k, v]) => [k, resolveValue(v)]))
+      : {},
+  };
+}
+
+function legacyProfile() {
+  return normalizeProfile(DEFAULT_ACCOUNT_NAME, {
+    identityNumber: process.env.BAYAN_IDENTITY_NUMBER,
+    password: process.env.BAYAN_PASSWORD,
+    otpSender: process.env.BAYAN_OTP_SENDER,
+    mailbox: process.env.USER_EMAIL,
+    portal: process.env.BAYAN_PORTAL,
+  });
+}
+
+function readAccountsConfig() {
+  const file = (process.env.BAYAN_ACCOUNTS_FILE && String(process.env.BAYAN_ACCOUNTS_FILE).trim()) || '';
+  const inline = (process.env.BAYAN_ACCOUNTS && String(process.env.BAYAN_ACCOUNTS).trim()) || '';
+  if (!file && !inline) return null;
+  const raw = file ? readFileSync(file, 'utf8') : inline;
+  const obj = JSON.parse(raw);
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error('BAYAN_ACCOUNTS must be a JSON object of { "<name>": { identityNumber, password, ... } }');
+  }
+  log('Loaded account profiles', { source: file || 'BAYAN_ACCOUNTS', count: Object.keys(obj).length });
+  return obj;
+}
+
+function loadAccounts() {
+  if (accountsCache) return accountsCache;
+  const map = new Map();
+  const config = readAccountsConfig();
+  if (config) {
+    for (const [name, raw] of Object.entries(config)) {
+      if (!ACCOUNT_NAME_RE.test(name)) {
+        throw new Error(`Invalid account name "${name}" (allowed: letters, digits, "_" and "-")`);
+      }
+      map.set(name, normalizeProfile(name, raw));
+    }
+  }
+  // Keep the single-account env vars working: they become the "default" profile unless overridden.
+  if (!map.has(DEFAULT_ACCOUNT_NAME) && (process.env.BAYAN_IDENTITY_NUMBER || !config)) {
+    map.set(DEFAULT_ACCOUNT_NAME, legacyProfile());
+  }
+  accountsCache = map;
+  return map;
+}
+
+export function getDefaultAccountName() {
+  const wanted = (process.env.BAYAN_DEFAULT_ACCOUNT && String(process.env.BAYAN_DEFAULT_ACCOUNT).trim()) || '';
+  const accounts = loadAccounts();
+  if (wanted) return wanted;
+  if (accounts.has(DEFAULT_ACCOUNT_NAME)) return DEFAULT_ACCOUNT_NAME;
+  return accounts.keys().next().value ?? DEFAULT_ACCOUNT_NAME;
+}
+
+/**
+ * Look up an account profile by name (falls back to the default account when name is empty).
+ * Throws an error with code UNKNOWN_ACCOUNT when the profile does not exist.
+ */
+export function getAccount(name) {
+  const accounts = loadAccounts();
+  const wanted = typeof name === 'string' && name.trim() ? name.trim() : getDefaultAccountName();
+  const account = accounts.get(wanted);
+  if (!account) {
+    const err = new Error(`Unknown Bayan account: ${wanted}`);
+    err.code = 'UNKNOWN_ACCOUNT';
+    throw err;
+  }
+  return account;
+}
+
+export function listAccountNames() {
+  return Array.from(loadAccounts().keys());
+}
+
+function getPortalTitles() {
+  const raw = (process.env.BAYAN_PORTAL_TITLES && String(process.env.BAYAN_PORTAL_TITLES).trim()) || '';
+  if (!raw) return BUILTIN_PORTAL_TITLES;
+  try {
+    const extra = JSON.parse(raw);
+    return { ...BUILTIN_PORTAL_TITLES, ...(extra && typeof extra === 'object' ? extra : {}) };
+  } catch (e) {
+    log('Ignoring invalid BAYAN_PORTAL_TITLES', e?.message);
+    return BUILTIN_PORTAL_TITLES;
+  }
+}
+
+/**
+ * Resolve a portal key (e.g. "shipper") to its landing card title; empty = the account's portal.
+ * Throws an error with code UNKNOWN_PORTAL for keys that are not configured.
+ */
+export function resolvePortal(account, portal) {
+  const key = (typeof portal === 'string' && portal.trim() ? portal.trim() : account?.portal || DEFAULT_PORTAL).toLowerCase();
+  const titles = getPortalTitles();
+  const title = titles[key];
+  if (!title) {
+    const err = new Error(`Unknown Bayan portal: ${key} (known: ${Object.keys(titles).join(', ')})`);
+    err.code = 'UNKNOWN_PORTAL';
+    throw err;
+  }
+  return { key, title };
+}
@@ -0,0 +1,199 @@
+import { randomBytes } from 'crypto';
+import { mkdir, readdir, readFile, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Artifacts');
+const log = logger.info;
+
+const ARTIFACTS_ENABLED = process.env.ARTIFACTS_ENABLED !== 'false';
+const ARTIFACTS_DIR = path.resolve(
+  (process.env.ARTIFACTS_DIR && String(process.env.ARTIFACTS_DIR).trim()) || '/tmp/bayan-auth-artifacts'
+);
+const MAX_RUNS = Number(process.env.ARTIFACTS_MAX_RUNS ?? 50) || 0;
+const MAX_AGE_MS = Number(process.env.ARTIFACTS_MAX_AGE_MS ?? 7 * 24 * 60 * 60 * 1000) || 0;
+// Per-attempt caps so a chatty page can't grow memory without bound.
+const MAX_CONSOLE_ENTRIES = 200;
+const MAX_NETWORK_ENTRIES = 500;
+
+// Directory/file names we create; no leading dot, so ".." can never match.
+const ID_RE = /^[A-Za-z0-9_@-][A-Za-z0-9_.@-]*$/;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+function pushCapped(list, item, max) {
+  list.push(item);
+  if (list.length > max) list.shift();
+}
+
+/**
+ * Record console errors and a network log for one login attempt.
+ * Call saveFailure(err) from the attempt's catch to write everything to a fresh artifact directory.
+ */
+export function startAttemptCapture(page, { account, portal, attempt }) {
+  const consoleErrors = [];
+  const network = [];
+  const pendingRequests = new Map();
+  const startedAtMs = Date.now();
+
+  if (ARTIFACTS_ENABLED) {
+    page.on('console', (msg) => {
+      try {
+        if (msg.type() !== 'error' && msg.type() !== 'warn') return;
+        pushCapped(consoleErrors, { t: Date.now() - startedAtMs, type: msg.type(), text: msg.text() }, MAX_CONSOLE_ENTRIES);
+      } catch (_) {}
+    });
+    page.on('pageerror', (err) => {
+      pushCapped(consoleErrors, { t: Date.now() - startedAtMs, type: 'pageerror', text: err?.message ?? String(err) }, MAX_CONSOLE_ENTRIES);
+    });
+    page.on('request', (req) => {
+      try {
+        // Headers are left out on purpose: they carry cookies and bearer tokens.
+        const entry = { t: Date.now() - startedAtMs, method: req.method(), url: req.url(), type: req.resourceType(), status: null };
+        pendingRequests.set(req, entry);
+        pushCapped(network, entry, MAX_NETWORK_ENTRIES);
+      } catch (_) {}
+    });
+    page.on('requestfinished', (req) => {
+      const entry = pendingRequests.get(req);
+      if (!entry) return;
+      pendingRequests.delete(req);
+      try {
+        entry.status = req.response()?.status() ?? null;
+      } catch (_) {}
+      entry.durationMs = Date.now() - startedAtMs - entry.t;
+    });
+    page.on('requestfailed', (req) => {
+      const entry = pendingRequests.get(req);
+      if (!entry) return;
+      pendingRequests.delete(req);
+      entry.failure = req.failure()?.errorText ?? 'failed';
+      entry.durationMs = Date.now() - startedAtMs - entry.t;
+    });
+  }
+
+  return {
+    async saveFailure(err) {
+      if (!ARTIFACTS_ENABLED) return null;
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const id = `${stamp}-${account}-a${attempt}-${randomBytes(3).toString('hex')}`;
+      const dir = path.join(ARTIFACTS_DIR, id);
+      try {
+        await mkdir(dir, { recursive: true });
+        let url = '';
+        try {
+          url = page.url();
+        } catch (_) {}
+        const screenshot = path.join(dir, 'screenshot.png');
+        const hasScreenshot = await page
+          .screenshot({ path: screenshot, fullPage: true })
+          .then(() => true)
+          .catch(() => false);
+        const html = await page.content().catch(() => '');
+        if (html) await writeFile(path.join(dir, 'page.html'), html, 'utf8');
+        await writeFile(path.join(dir, 'console.json'), JSON.stringify(consoleErrors, null, 2), 'utf8');
+        await writeFile(path.join(dir, 'network.json'), JSON.stringify(network, null, 2), 'utf8');
+        await writeFile(
+          path.join(dir, 'meta.json'),
+          JSON.stringify(
+            {
+              id,
+              account,
+              portal,
+              attempt,
+              url,
+              startedAt: new Date(startedAtMs).toISOString(),
+              failedAt: new Date().toISOString(),
+              error: { message: err?.message ?? String(err), code: err?.code ?? null, flowStep: err?.flowStep ?? null },
+            },
+            null,
+            2
+          ),
+          'utf8'
+        );
+        log('Saved failure artifacts', { id, url });
+        pruneArtifacts().catch((e) => log('Prune failed', e?.message));
+        return { id, screenshot: hasScreenshot ? screenshot : null };
+      } catch (e) {
+        logger.error('Failed to save artifacts:', e?.message);
+        return null;
+      }
+    },
+  };
+}
+
+async function listArtifactDirs() {
+  let names = [];
+  try {
+    names = await readdir(ARTIFACTS_DIR);
+  } catch (_) {
+    return [];
+  }
+  const dirs = [];
+  for (const name of names) {
+    if (!ID_RE.test(name)) continue;
+    try {
+      const st = await stat(path.join(ARTIFACTS_DIR, name));
+      if (st.isDirectory()) dirs.push({ id: name, mtimeMs: st.mtimeMs });
+    } catch (_) {}
+  }
+  return dirs.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+/** Keep at most ARTIFACTS_MAX_RUNS directories, none older than ARTIFACTS_MAX_AGE_MS. */
+export async function pruneArtifacts() {
+  const dirs = await listArtifactDirs();
+  const now = Date.now();
+  const doomed = dirs.filter((d, i) => (MAX_RUNS > 0 && i >= MAX_RUNS) || (MAX_AGE_MS > 0 && now - d.mtimeMs > MAX_AGE_MS));
+  for (const d of doomed) {
+    await rm(path.join(ARTIFACTS_DIR, d.id), { recursive: true, force: true });
+  }
+  if (doomed.length) log('Pruned artifacts', { removed: doomed.length });
+}
+
+export async function listArtifacts() {
+  const dirs = await listArtifactDirs();
+  const out = [];
+  for (const d of dirs) {
+    const meta = await readFile(path.join(ARTIFACTS_DIR, d.id, 'meta.json'), 'utf8')
+      .then((raw) => JSON.parse(raw))
+      .catch(() => null);
+    out.push({ id: d.id, failedAt: meta?.failedAt ?? new Date(d.mtimeMs).toISOString(), account: meta?.account ?? null, error: meta?.error ?? null });
+  }
+  return out;
+}
+
+/** Metadata and file list for one artifact directory, or null when it doesn't exist. */
+export async function getArtifact(id) {
+  if (typeof id !== 'string' || !ID_RE.test(id)) return null;
+  const dir = path.join(ARTIFACTS_DIR, id);
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (_) {
+    return null;
+  }
+  const meta = await readFile(path.join(dir, 'meta.json'), 'utf8')
+    .then((raw) => JSON.parse(raw))
+    .catch(() => null);
+  return { id, meta, files: files.filter((f) => ID_RE.test(f)).sort() };
+}
+
+/** Absolute path + content type of one artifact file, or null (never escapes ARTIFACTS_DIR). */
+export async function resolveArtifactFile(id, file) {
+  if (typeof id !== 'string' || !ID_RE.test(id) || typeof file !== 'string' || !ID_RE.test(file)) return null;
+  const full = path.join(ARTIFACTS_DIR, id, file);
+  if (!full.startsWith(ARTIFACTS_DIR + path.sep)) return null;
+  try {
+    const st = await stat(full);
+    if (!st.isFile()) return null;
+  } catch (_) {
+    return null;
+  }
+  return { path: full, contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' };
+}
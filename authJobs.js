@@ -0,0 +1,151 @@
+import { randomBytes } from 'crypto';
+import { getAccount, resolvePortal } from './accounts.js';
+import { getAuth } from './authService.js';
+import { errorInfo } from './errors.js';
+import { getLoginRun, loginRunEvents } from './loginRuns.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Jobs');
+const log = logger.info;
+
+/**
+ * POST /auth/jobs: getAuth() without holding the HTTP request open.
+ * A job follows the login run of its account/portal (its own or one it joined) and
+ * relays that run's steps to subscribers. Jobs live in memory for AUTH_JOB_TTL_MS after they finish.
+ */
+
+const JOB_TTL_MS = Number(process.env.AUTH_JOB_TTL_MS || 0) || 15 * 60 * 1000;
+const MAX_JOBS = 200;
+
+const jobs = new Map();
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function notify(job, type, data) {
+  for (const listener of job.listeners) {
+    try {
+      listener(type, data);
+    } catch (e) {
+      logger.error('Listener failed:', e?.message);
+    }
+  }
+}
+
+function addStep(job, step) {
+  job.steps.push(step);
+  notify(job, 'step', step);
+}
+
+// Single-flight: whatever run is going for the job's account/portal is the job's login.
+loginRunEvents.on('step', ({ runId, account, portal, ...step }) => {
+  for (const job of jobs.values()) {
+    if (job.status !== 'running' || job.account !== account || job.portal !== portal) continue;
+    if (job.runId && job.runId !== runId) continue;
+    if (!job.runId) {
+      job.runId = runId;
+      // Joined a login that was already running: catch up on the steps it took so far.
+      const earlier = getLoginRun(runId)?.steps ?? [];
+      for (const s of earlier.slice(0, -1)) addStep(job, { attempt: s.attempt, step: s.step, detail: s.detail, t: s.t });
+    }
+    addStep(job, step);
+  }
+});
+
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAtMs && now - job.finishedAtMs > JOB_TTL_MS) jobs.delete(id);
+  }
+  // Oldest finished jobs go first when a burst of requests fills the map.
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (job.finishedAtMs) jobs.delete(id);
+  }
+}
+
+function finish(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.result = result;
+  job.error = error;
+  job.finishedAtMs = Date.now();
+  log('Job finished', { id: job.id, status, code: error?.code ?? null });
+  notify(job, 'done', { status, error });
+  job.listeners.clear();
+}
+
+/**
+ * Start a job. Throws (UNKNOWN_ACCOUNT / UNKNOWN_PORTAL) before creating one when the selection is bad.
+ */
+export function createAuthJob({ account, portal } = {}) {
+  const profile = getAccount(account);
+  const portalInfo = resolvePortal(profile, portal);
+  pruneJobs();
+  const job = {
+    id: `job-${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`,
+    account: profile.name,
+    portal: portalInfo.key,
+    status: 'running',
+    createdAtMs: Date.now(),
+    finishedAtMs: null,
+    runId: null,
+    steps: [],
+    result: null,
+    error: null,
+    listeners: new Set(),
+  };
+  jobs.set(job.id, job);
+  log('Job started', { id: job.id, account: job.account, portal: job.portal });
+
+  getAuth({ account: job.account, portal: job.portal })
+    .then((auth) => {
+      if (!job.runId) addStep(job, { attempt: null, step: 'Cache', detail: 'using cached auth', t: Date.now() - job.createdAtMs });
+      finish(job, 'succeeded', { result: auth });
+    })
+    .catch((e) => {
+      const { code, retryable } = errorInfo(e);
+      finish(job, 'failed', { error: { code, message: e?.message ?? 'Unknown error', retryable, artifactId: e?.artifactId ?? null } });
+    });
+  return toJson(job);
+}
+
+function toJson(job) {
+  return {
+    jobId: job.id,
+    account: job.account,
+    portal: job.portal,
+    status: job.status,
+    createdAt: iso(job.createdAtMs),
+    finishedAt: iso(job.finishedAtMs),
+    durationMs: (job.finishedAtMs || Date.now()) - job.createdAtMs,
+    runId: job.runId,
+    steps: job.steps.map((s) => ({ ...s })),
+    error: job.error,
+  };
+}
+
+/** The job without its result, or null. */
+export function getAuthJob(id) {
+  const job = jobs.get(id);
+  return job ? toJson(job) : null;
+}
+
+/** The auth a succeeded job produced (same object getAuth returned), or null. */
+export function getAuthJobResult(id) {
+  return jobs.get(id)?.result ?? null;
+}
+
+/**
+ * Replay the job's steps to listener(type, data) and follow it: 'step' events, then one 'done'.
+ * Returns an unsubscribe function, or null when the job doesn't exist.
+ */
+export function subscribeAuthJob(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  for (const step of job.steps) listener('step', step);
+  if (job.status !== 'running') {
+    listener('done', { status: job.status, error: job.error });
+    return () => {};
+  }
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
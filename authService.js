@@ -1,22 +1,92 @@
-import puppeteer from 'puppeteer-core';
-import { existsSync } from 'fs';
-import { readFile, writeFile } from 'fs/promises';
-import { fetchOtpFromEmail } from './otpFetcher.js';
-
-const log = (...args) => console.log('[Auth]', ...args);
-const logStep = (step, detail = '') => console.log('[Auth]', `Step: ${step}`, detail ? `— ${detail}` : '');
+import { EventEmitter } from 'events';
+import { DEFAULT_ACCOUNT_NAME, getAccount, resolvePortal } from './accounts.js';
+import { loadLoginFlow, runLoginFlow } from './loginFlow.js';
+import { createOtpSource } from './otpSource.js';
+import { acquireBrowser } from './browserManager.js';
+import { startAttemptCapture } from './artifacts.js';
+import { codedError, errorInfo, isKnownErrorCode } from './errors.js';
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } from './loginCircuit.js';
+import { getAuthStore } from './authStore.js';
+import { startLoginRun } from './loginRuns.js';
+import { recordCacheLookup, recordLoginAttempt, recordLoginRun, recordOtpWait, trackLoginInFlight } from './metrics.js';
+import {
+  SESSION_PROBE_AFTER_MS,
+  SESSION_PROBE_ENABLED,
+  SESSION_PROBE_INTERVAL_MS,
+  probeSession,
+} from './sessionProbe.js';
+import { backgroundRequestId, createLogger, runWithRequestId } from './logger.js';
+import { openSpan, setSpanAttributes, withSpan } from './tracing.js';
+
+const logger = createLogger('Auth');
+const log = logger.info;
+const logStep = (step, detail = '') => logger.info(`Step: ${step}`, detail ? `— ${detail}` : '');
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-let cachedAuth = null;
-let cachedAtMs = 0;
-let cacheLoaded = false;
-let inFlightAuthPromise = null;
-
 const AUTH_CACHE_FILE =
   (process.env.AUTH_CACHE_FILE && String(process.env.AUTH_CACHE_FILE).trim()) ||
   '/tmp/bayan-auth-cache.json';
 
+// Cross-instance login lock (authStore.js): held for AUTH_LOCK_TTL_MS and renewed while the login runs;
+// other instances wait up to AUTH_LOCK_WAIT_MS for the holder's session.
+const AUTH_LOCK_TTL_MS = Number(process.env.AUTH_LOCK_TTL_MS || 0) || 2 * 60 * 1000;
+const AUTH_LOCK_WAIT_MS = Number(process.env.AUTH_LOCK_WAIT_MS || 0) || 6 * 60 * 1000;
+const AUTH_LOCK_POLL_MS = 2000;
+
+// Cookies the Bayan session depends on; the earliest of their expiries bounds the cache (WAF cookies such as
+// TS01f96da1 can expire well before the JWT, which shows up as 401/403 on the print endpoints).
+const SESSION_COOKIES = (process.env.AUTH_SESSION_COOKIES || 'JSESSIONID,TS01f96da1')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+/**
+ * Auth lifecycle events:
+ *   'cached': { account, portal, cachedAtMs, expiresAtMs, source } after a login result is cached;
+ *     source is 'login' (this instance logged in) or 'shared' (adopted from the auth store).
+ *   'failed': { account, portal, code, message, runId, trigger } when a login run fails.
+ *   'invalidated': { account, portal, reason } when a cached session is dropped.
+ */
+export const authEvents = new EventEmitter();
+
+// Per-account (and per-portal) cache + single-flight lock.
+// Key is the account name for its own portal, "<account>@<portal>" when a request picks another portal.
+const authStates = new Map();
+
+/** Default account keeps AUTH_CACHE_FILE; other keys get "<base>-<key>.json" next to it. */
+function cacheFileForKey(key) {
+  if (key === DEFAULT_ACCOUNT_NAME) return AUTH_CACHE_FILE;
+  const m = AUTH_CACHE_FILE.match(/^(.*?)(\.json)?$/i);
+  return `${m[1]}-${key}${m[2] || '.json'}`;
+}
+
+function getAuthState(account, portal) {
+  const key = portal.key === resolvePortal(account).key ? account.name : `${account.name}@${portal.key}`;
+  let state = authStates.get(key);
+  if (!state) {
+    state = {
+      key,
+      accountName: account.name,
+      portal: portal.key,
+      cacheFile: cacheFileForKey(key),
+      cachedAuth: null,
+      cachedAtMs: 0,
+      // Last time the session was confirmed alive (fresh login or a passing probe).
+      verifiedAtMs: 0,
+      cacheLoaded: false,
+      inFlightAuthPromise: null,
+      // loginRuns.js handle of the in-flight login.
+      currentRun: null,
+      probePromise: null,
+      // { code, message, atMs } of the last login that failed; cleared by a successful one.
+      lastFailure: null,
+    };
+    authStates.set(key, state);
+  }
+  return state;
+}
+
 function base64UrlDecodeToString(s) {
   try {
     const pad = '='.repeat((4 - (s.length % 4)) % 4);
@@ -27,7 +97,8 @@ function base64UrlDecodeToString(s) {
   }
 }
 
-function tryGetJwtExpMs(token) {
+/** Decoded JWT payload (signature not checked), or null when token isn't a JWT. */
+function tryDecodeJwtPayload(token) {
   if (typeof token !== 'string') return null;
   const parts = token.split('.');
   if (parts.length < 2) return null;
@@ -35,55 +106,136 @@ function tryGetJwtExpMs(token) {
   if (!payloadStr) return null;
   try {
     const payload = JSON.parse(payloadStr);
-    const exp = payload?.exp;
-    if (!Number.isFinite(exp)) return null;
-    return Number(exp) * 1000;
+    return payload && typeof payload === 'object' ? payload : null;
   } catch (_) {
     return null;
   }
 }
 
-function isCachedAuthValid({ ttlMs, skewMs = 60_000 } = {}) {
-  if (!cachedAuth) return false;
-  // When JWT exp is available, also honor TTL since cookies/WAF tokens may expire earlier than JWT.
+function tryGetJwtExpMs(token) {
+  const exp = tryDecodeJwtPayload(token)?.exp;
+  return Number.isFinite(exp) ? Number(exp) * 1000 : null;
+}
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// .NET issuers put roles under the long WS-Federation claim name.
+const ROLE_CLAIMS = ['roles', 'role', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role'];
+
+/** The JWT claims /auth/status shows: exp, iat, subject and roles. */
+function getJwtSummary(token) {
+  const payload = tryDecodeJwtPayload(token);
+  if (!payload) return null;
+  const time = (s) => (Number.isFinite(s) ? iso(s * 1000) : null);
+  const roles = ROLE_CLAIMS.flatMap((k) => (payload[k] == null ? [] : [].concat(payload[k]))).map(String);
+  return {
+    exp: time(payload.exp),
+    iat: time(payload.iat),
+    subject: payload.sub ?? null,
+    roles: Array.from(new Set(roles)),
+  };
+}
+
+/**
+ * Earliest expiry of the SESSION_COOKIES recorded at login, as { name, atMs }.
+ * null for browser-session cookies (no expiry) and caches written before expiries were recorded.
+ */
+function getSessionCookieExpiry(cachedAuth) {
+  const expiry = cachedAuth?.cookieExpiry;
+  if (!expiry || typeof expiry !== 'object') return null;
+  let earliest = null;
+  for (const name of SESSION_COOKIES) {
+    const atMs = Number(expiry[name]);
+    if (atMs > 0 && (!earliest || atMs < earliest.atMs)) earliest = { name, atMs };
+  }
+  return earliest;
+}
+
+/**
+ * Why the cached auth can't be used, or null when it can.
+ * Bounds: session cookie expiry, JWT exp (both minus skewMs) and cachedAt + TTL. Without a JWT the TTL is required.
+ */
+function cacheMissReason(state, { ttlMs, skewMs = 60_000 } = {}) {
+  const { cachedAuth, cachedAtMs } = state;
+  if (!cachedAuth) return 'nothing cached';
+  // Caches written before portal selection existed are Local Carrier sessions.
+  const cachedPortal = cachedAuth.portal || 'local-carrier';
+  if (cachedPortal !== state.portal) return `cached session is for portal ${cachedPortal}`;
+  const now = Date.now();
+  const cookie = getSessionCookieExpiry(cachedAuth);
+  if (cookie && now >= cookie.atMs - skewMs) return `cookie ${cookie.name} expires ${iso(cookie.atMs)}`;
+  const ttlPassed = ttlMs > 0 && cachedAtMs > 0 && now - cachedAtMs >= ttlMs;
   const expMs = tryGetJwtExpMs(cachedAuth.accessToken);
   if (expMs) {
-    const okJwt = Date.now() < expMs - skewMs;
-    const okTtl = ttlMs > 0 && cachedAtMs > 0 ? Date.now() - cachedAtMs < ttlMs : true;
-    return okJwt && okTtl;
+    if (now >= expMs - skewMs) return `JWT expires ${iso(expMs)}`;
+    return ttlPassed ? `TTL of ${ttlMs}ms passed` : null;
   }
-  if (ttlMs > 0 && cachedAtMs > 0) return Date.now() - cachedAtMs < ttlMs;
-  return false;
+  if (ttlMs > 0 && cachedAtMs > 0) return ttlPassed ? `TTL of ${ttlMs}ms passed` : null;
+  return 'no JWT exp and no TTL';
 }
 
-async function loadAuthCacheOnce() {
-  if (cacheLoaded) return;
-  cacheLoaded = true;
+function isCachedAuthValid(state, options) {
+  return cacheMissReason(state, options) === null;
+}
+
+async function loadAuthCacheOnce(state) {
+  if (state.cacheLoaded) return;
+  state.cacheLoaded = true;
   try {
-    const raw = await readFile(AUTH_CACHE_FILE, 'utf8');
-    const obj = JSON.parse(raw);
+    const obj = await getAuthStore().load(state);
     if (obj && typeof obj === 'object') {
-      cachedAuth = obj.cachedAuth ?? null;
-      cachedAtMs = Number(obj.cachedAtMs) || 0;
-      if (cachedAuth) log('Loaded auth cache from disk', { file: AUTH_CACHE_FILE, cachedAtMs });
+      state.cachedAuth = obj.cachedAuth ?? null;
+      state.cachedAtMs = Number(obj.cachedAtMs) || 0;
+      if (state.cachedAuth) {
+        log('Loaded auth cache from disk', { account: state.accountName, portal: state.portal, file: state.cacheFile, cachedAtMs: state.cachedAtMs });
+      }
     }
-  } catch (_) {
-    // ignore (file missing/corrupt)
+  } catch (e) {
+    // Tampered, foreign-key or corrupt cache: ignore it; the next login overwrites the file.
+    logger.error('Ignoring auth cache:', state.cacheFile, e?.code || '', e?.message);
   }
+  if (state.cachedAuth) await verifyCachedSession(state, 'loaded from disk');
 }
 
-async function persistAuthCache() {
+async function persistAuthCache(state) {
+  const { cachedAtMs, cachedAuth } = state;
   try {
-    await writeFile(
-      AUTH_CACHE_FILE,
-      JSON.stringify({ cachedAtMs, cachedAuth }, null, 2),
-      'utf8'
-    );
+    await getAuthStore().save(state, { cachedAtMs, cachedAuth });
   } catch (e) {
-    console.error('[Auth] Failed to persist auth cache:', e?.message);
+    logger.error('Failed to persist auth cache:', e?.message);
   }
 }
 
+/**
+ * Check the cached session against Bayan (SESSION_PROBE_PATH). Concurrent callers share one probe.
+ * A dead session is dropped from the cache (and disk). Returns true while the cached auth is usable.
+ */
+async function verifyCachedSession(state, why) {
+  if (!SESSION_PROBE_ENABLED || !state.cachedAuth) return Boolean(state.cachedAuth);
+  if (!state.probePromise) {
+    const auth = state.cachedAuth;
+    state.probePromise = (async () => {
+      const result = await probeSession(auth);
+      // A new login may have replaced the cache while the probe ran.
+      if (state.cachedAuth !== auth) return Boolean(state.cachedAuth);
+      if (result.alive) {
+        state.verifiedAtMs = Date.now();
+        return true;
+      }
+      log('Cached session failed probe; invalidating', { account: state.accountName, portal: state.portal, why, reason: result.reason });
+      state.cachedAuth = null;
+      state.cachedAtMs = 0;
+      state.verifiedAtMs = 0;
+      await persistAuthCache(state);
+      authEvents.emit('invalidated', { account: state.accountName, portal: state.portal, reason: 'session probe failed' });
+      return false;
+    })().finally(() => {
+      state.probePromise = null;
+    });
+  }
+  return await state.probePromise;
+}
+
 async function detectServerOops(page) {
   try {
     const txt = await page.evaluate(() => document?.body?.innerText || '');
@@ -97,83 +249,11 @@ async function throwIfServerOops(page, where) {
   const isOops = await detectServerOops(page);
   if (isOops) {
     logStep('Server OOPS detected', where);
-    const screenshot = `bayan-server-oops-${Date.now()}.png`;
-    await page.screenshot({ path: screenshot, fullPage: true }).catch(() => {});
-    console.log('[Auth] Screenshot saved:', screenshot);
-    const err = new Error(`Bayan server error page at: ${where}`);
-    err.debugScreenshot = screenshot;
-    err.code = 'BAYAN_SERVER_OOPS';
-    throw err;
+    // Screenshot, HTML and logs are saved by the attempt's failure capture (artifacts.js).
+    throw codedError('BAYAN_SERVER_OOPS', `Bayan server error page at: ${where}`);
   }
 }
 
-function firstExistingPath(paths) {
-  for (const p of paths) {
-    if (typeof p !== 'string' || !p.trim()) continue;
-    try {
-      if (existsSync(p)) return p;
-    } catch (_) {
-      // ignore permission/fs errors
-    }
-  }
-  return null;
-}
-
-function getBrowserExecutablePath() {
-  const envPath =
-    typeof process.env.PUPPETEER_EXECUTABLE_PATH === 'string'
-      ? process.env.PUPPETEER_EXECUTABLE_PATH.trim()
-      : '';
-  if (envPath) {
-    try {
-      if (existsSync(envPath)) return envPath;
-    } catch (_) {
-      // ignore fs errors
-    }
-  }
-
-  const platform = process.platform;
-
-  if (platform === 'darwin') {
-    return firstExistingPath([
-      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
-      '/Applications/Chromium.app/Contents/MacOS/Chromium',
-      '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
-      '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
-    ]);
-  }
-
-  if (platform === 'win32') {
-    const pf = process.env.PROGRAMFILES;
-    const pf86 = process.env['PROGRAMFILES(X86)'];
-    const local = process.env.LOCALAPPDATA;
-
-    return firstExistingPath([
-      // Chrome
-      pf ? `${pf}\\Google\\Chrome\\Application\\chrome.exe` : null,
-      pf86 ? `${pf86}\\Google\\Chrome\\Application\\chrome.exe` : null,
-      local ? `${local}\\Google\\Chrome\\Application\\chrome.exe` : null,
-      // Edge
-      pf ? `${pf}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
-      pf86 ? `${pf86}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
-      local ? `${local}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
-    ]);
-  }
-
-  // linux + others (includes common paths on Amazon Linux, RHEL, Debian, etc.)
-  return firstExistingPath([
-    '/usr/bin/google-chrome',
-    '/usr/bin/google-chrome-stable',
-    '/usr/bin/chromium',
-    '/usr/bin/chromium-browser',
-    '/usr/bin/chromium-browser-unstable',
-    '/snap/bin/chromium',
-    '/usr/bin/microsoft-edge',
-    '/usr/bin/microsoft-edge-stable',
-    '/usr/lib64/chromium-browser/chromium-browser', // some Amazon Linux / RHEL
-  ]);
-}
-
 /**
  * Login to bayan.logisti.sa and return cookie and access token.
  * @returns {Promise<{ cookie: string, cookieHeader: string, accessToken: string | null, headers: object }>}
@@ -182,101 +262,210 @@ function getBrowserExecutablePath() {
 // Set AUTH_CACHE_TTL_MS=0 to disable fallback TTL usage entirely.
 const DEFAULT_AUTH_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
 
-export async function invalidateAuthCache({ persist = true } = {}) {
-  cachedAuth = null;
-  cachedAtMs = 0;
-  try {
-    inFlightAuthPromise = null;
-  } catch (_) {}
-  if (persist) await persistAuthCache();
+function getCacheTtlMs() {
+  const envTtl = process.env.AUTH_CACHE_TTL_MS;
+  return envTtl === undefined || envTtl === '' ? DEFAULT_AUTH_CACHE_TTL_MS : Number(envTtl) || 0;
 }
 
-export async function getAuth(options = {}) {
-  log('getAuth() started');
-  await loadAuthCacheOnce();
+/**
+ * When the cached auth stops being valid: session cookie expiry, JWT exp and/or cachedAt + TTL,
+ * whichever is first (same bounds as cacheMissReason).
+ */
+function getCacheExpiryMs(state, ttlMs) {
+  if (!state.cachedAuth) return null;
+  const bounds = [
+    getSessionCookieExpiry(state.cachedAuth)?.atMs,
+    tryGetJwtExpMs(state.cachedAuth.accessToken),
+    ttlMs > 0 && state.cachedAtMs > 0 ? state.cachedAtMs + ttlMs : null,
+  ].filter((ms) => ms > 0);
+  return bounds.length ? Math.min(...bounds) : null;
+}
 
-  const forceRefresh = options?.forceRefresh === true;
-  if (forceRefresh) {
-    log('Force refresh requested; invalidating cache');
-    await invalidateAuthCache({ persist: false });
+function emitCached(state, ttlMs, source) {
+  authEvents.emit('cached', {
+    account: state.accountName,
+    portal: state.portal,
+    cachedAtMs: state.cachedAtMs,
+    expiresAtMs: getCacheExpiryMs(state, ttlMs),
+    source,
+  });
+}
+
+/**
+ * Take a valid session another instance put in the shared store, if it is newer than replacingCachedAtMs
+ * (the session this login is meant to replace). Returns the auth, or null.
+ */
+async function adoptSharedAuth(state, ttlMs, replacingCachedAtMs) {
+  let shared;
+  try {
+    shared = await getAuthStore().load(state);
+  } catch (e) {
+    logger.error('Shared auth store read failed:', e?.code || '', e?.message);
+    return null;
   }
+  const candidate = { portal: state.portal, cachedAuth: shared?.cachedAuth ?? null, cachedAtMs: Number(shared?.cachedAtMs) || 0 };
+  if (candidate.cachedAtMs <= replacingCachedAtMs || !isCachedAuthValid(candidate, { ttlMs })) return null;
+  state.cachedAuth = candidate.cachedAuth;
+  state.cachedAtMs = candidate.cachedAtMs;
+  state.verifiedAtMs = candidate.cachedAtMs;
+  log('Using session from shared store', { account: state.accountName, portal: state.portal, cacheAgeMs: Date.now() - candidate.cachedAtMs });
+  emitCached(state, ttlMs, 'shared');
+  return state.cachedAuth;
+}
 
-  // Coalesce concurrent calls so only one login/OTP happens at a time.
-  if (!forceRefresh && inFlightAuthPromise) {
-    log('Awaiting in-flight auth refresh');
-    return await inFlightAuthPromise;
+async function withLockRenewal(lock, fn) {
+  const timer = setInterval(() => {
+    getAuthStore()
+      .extendLock(lock, AUTH_LOCK_TTL_MS)
+      .then((held) => {
+        if (!held) logger.error('Lost the login lock while logging in', lock.state.key);
+      })
+      .catch((e) => logger.error('Login lock renewal failed:', e?.message));
+  }, Math.max(1000, Math.floor(AUTH_LOCK_TTL_MS / 3)));
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
   }
+}
 
-  const envTtl = process.env.AUTH_CACHE_TTL_MS;
-  const ttlMs = envTtl === undefined || envTtl === '' ? DEFAULT_AUTH_CACHE_TTL_MS : Number(envTtl) || 0;
-  if (!forceRefresh && isCachedAuthValid({ ttlMs })) {
-    log('Using cached auth', { cacheAgeMs: Date.now() - cachedAtMs, ttlMs });
-    return cachedAuth;
+/**
+ * Only one process (per shared store) runs the browser login for an account/portal; the others wait
+ * for its session to appear in the store. Two logins would trigger two OTPs that invalidate each other.
+ */
+async function loginWithSharedLock(state, account, portal, ttlMs, replacingCachedAtMs, run) {
+  const store = getAuthStore();
+  const deadline = Date.now() + AUTH_LOCK_WAIT_MS;
+  let waiting = false;
+  for (;;) {
+    const adopted = await adoptSharedAuth(state, ttlMs, replacingCachedAtMs);
+    if (adopted) return adopted;
+
+    let lock;
+    try {
+      lock = await store.tryLock(state, AUTH_LOCK_TTL_MS);
+    } catch (e) {
+      logger.error('Login lock unavailable; logging in without it:', e?.message);
+      return await loginAndCache(state, account, portal, ttlMs, run);
+    }
+    if (lock) {
+      try {
+        if (waiting) {
+          // The previous holder finished without a session we can use (or just before we locked).
+          const justIn = await adoptSharedAuth(state, ttlMs, replacingCachedAtMs);
+          if (justIn) return justIn;
+        }
+        return await withLockRenewal(lock, () => loginAndCache(state, account, portal, ttlMs, run));
+      } finally {
+        await store.unlock(lock).catch((e) => logger.error('Login lock release failed:', e?.message));
+      }
+    }
+
+    if (!waiting) {
+      log('Another instance is logging in; waiting for its session', { account: account.name, portal: portal.key });
+      waiting = true;
+    }
+    if (Date.now() >= deadline) {
+      throw codedError('LOGIN_LOCK_TIMEOUT', `Timed out waiting for another instance to log in (${account.name}@${portal.key})`);
+    }
+    await delay(AUTH_LOCK_POLL_MS);
   }
-  logStep('Cache', ttlMs > 0 ? `TTL=${ttlMs}ms, cache miss` : 'caching disabled');
+}
 
-  inFlightAuthPromise = (async () => {
+/**
+ * Log in (or adopt another instance's session) and record it as a login run (loginRuns.js).
+ * options: { ttlMs, replacingCachedAtMs (default: the current cache), trigger, reason }.
+ * Everything up to the first await is synchronous, so state.currentRun is set as soon as this is called.
+ */
+async function runSingleFlightLogin(state, account, portal, { ttlMs, replacingCachedAtMs = state.cachedAtMs, trigger, reason } = {}) {
+  assertLoginAllowed(account.name);
+  const run = startLoginRun({ account: account.name, portal: portal.key, trigger, reason });
+  const span = openSpan('Login', {
+    attributes: { 'bayan.account': account.name, 'bayan.portal': portal.key, 'bayan.login.trigger': trigger, 'bayan.login.run_id': run.id, ...(reason ? { 'bayan.login.reason': reason } : {}) },
+  });
+  // Each step of the run is also a child span of the login span.
+  const tracedRun = {
+    ...run,
+    step(step, detail) {
+      run.step(step, detail);
+      span.step(step, detail);
+    },
+  };
+  const inFlight = span.within(() => loginWithSharedLock(state, account, portal, ttlMs, replacingCachedAtMs, tracedRun));
+  state.inFlightAuthPromise = inFlight;
+  state.currentRun = run;
+  trackLoginInFlight(true);
+  try {
+    const result = await inFlight;
+    const { outcome, durationMs } = run.finish();
+    span.end(null, { 'bayan.login.outcome': outcome });
+    recordLoginRun(outcome, durationMs);
+    recordLoginSuccess(account.name);
+    state.lastFailure = null;
+    return result;
+  } catch (e) {
+    const { outcome, durationMs } = run.finish(e);
+    span.end(e, { 'bayan.login.outcome': outcome });
+    recordLoginRun(outcome, durationMs);
+    recordLoginFailure(account.name, e);
+    state.lastFailure = { code: e?.code ?? null, message: e?.message ?? String(e), atMs: Date.now() };
+    authEvents.emit('failed', { account: account.name, portal: portal.key, code: e?.code ?? null, message: e?.message ?? String(e), runId: run.id, trigger });
+    throw e;
+  } finally {
+    trackLoginInFlight(false);
+    if (state.inFlightAuthPromise === inFlight) {
+      state.inFlightAuthPromise = null;
+      state.currentRun = null;
+    }
+  }
+}
 
-  const IDENTITY_NUMBER = process.env.BAYAN_IDENTITY_NUMBER;
-  const PASSWORD = process.env.BAYAN_PASSWORD;
-  const OTP_SENDER = process.env.BAYAN_OTP_SENDER || 'NoReply@logisti.sa';
-  const OTP_WAIT_MS = Number(process.env.OTP_WAIT_MS || 10000);
+async function loginAndCache(state, account, portal, ttlMs, run) {
+  // Steps go to the log and to the run shown by GET /admin/login-runs.
+  const runStep = (step, detail = '') => {
+    logStep(step, detail);
+    run?.step(step, detail);
+  };
+  const IDENTITY_NUMBER = account.identityNumber;
+  const PASSWORD = account.password;
+  const OTP_SENDER = account.otpSender;
+  const otpSource = createOtpSource(account, { portal: portal.key });
+  const OTP_WAIT_MS = otpSource.waitBeforeFetchMs;
   const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 3);
-  logStep('Config', `OTP_SENDER=${OTP_SENDER}, OTP_WAIT_MS=${OTP_WAIT_MS}, MAX_ATTEMPTS=${MAX_ATTEMPTS}, credentials=${IDENTITY_NUMBER ? 'set' : 'missing'}`);
+  // Fresh codes requested in the same page after Bayan rejects one (0 = fail the attempt instead).
+  const OTP_MAX_RETRIES = Math.max(0, Number(process.env.OTP_MAX_RETRIES ?? 2) || 0);
+  runStep('Config', `account=${account.name}, portal=${portal.key}, OTP_POLICY=${account.otpPolicy}, OTP_SOURCE=${otpSource.name}, OTP_SENDER=${OTP_SENDER}, OTP_WAIT_MS=${OTP_WAIT_MS}, MAX_ATTEMPTS=${MAX_ATTEMPTS}, OTP_MAX_RETRIES=${OTP_MAX_RETRIES}, credentials=${IDENTITY_NUMBER ? 'set' : 'missing'}`);
 
   if (!IDENTITY_NUMBER || !PASSWORD) {
-    console.error('[Auth] Missing BAYAN_IDENTITY_NUMBER or BAYAN_PASSWORD');
-    throw new Error('Missing BAYAN_IDENTITY_NUMBER or BAYAN_PASSWORD in environment');
-  }
-
-  const executablePath = getBrowserExecutablePath();
-  if (!executablePath) {
-    console.error('[Auth] No Chrome/Chromium/Edge executable found');
-    throw new Error(
-      'Chrome/Chromium/Edge not found. Install a supported browser, or set PUPPETEER_EXECUTABLE_PATH and use it here.'
+    logger.error('Missing identity number or password for account', account.name);
+    throw codedError(
+      'MISSING_CONFIG',
+      `Missing identity number or password for account "${account.name}" (BAYAN_IDENTITY_NUMBER / BAYAN_PASSWORD or BAYAN_ACCOUNTS)`
     );
   }
-  logStep('Browser', `executable=${executablePath}`);
 
-  const headless = process.env.HEADLESS !== 'false';
-  logStep('Launch', `headless=${headless}`);
+  const flow = await loadLoginFlow();
+  runStep('Login flow', `${flow.name} (${flow.steps.length} steps)`);
 
-  let browser;
-  try {
-    const args = [
-      '--no-first-run',
-      '--no-zygote',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-gpu',
-      '--disable-dev-shm-usage',
-      '--disable-software-rasterizer',
-      '--disable-extensions',
-    ];
-    if (process.platform === 'linux') {
-      args.push('--no-sandbox', '--disable-setuid-sandbox');
-    }
-
-    browser = await puppeteer.launch({
-      headless,
-      args,
-      defaultViewport: null,
-      ignoreHTTPSErrors: true,
-      timeout: 60000,
-      executablePath,
-    });
-  } catch (err) {
-    console.error('[Auth] Browser launch failed:', err.message);
-    throw new Error('Failed to launch browser: ' + err.message);
-  }
-  log('Browser launched successfully');
+  runStep('Browser', 'acquire');
+  let lease = await acquireBrowser();
+  runStep('Browser', lease.pooled ? 'reusing pooled browser' : 'launched');
 
   try {
     let lastErr = null;
 
     for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
-      logStep(`Attempt ${attempt}/${MAX_ATTEMPTS}`, 'create context and page');
+      run?.attempt(attempt);
+      runStep(`Attempt ${attempt}/${MAX_ATTEMPTS}`, 'create context and page');
+      if (!lease.browser.isConnected()) {
+        log('Browser disconnected between attempts; acquiring a new one');
+        await lease.release();
+        lease = await acquireBrowser();
+      }
+      const browser = lease.browser;
       const ctx = await browser.createBrowserContext();
       const page = await ctx.newPage();
+      const capture = startAttemptCapture(page, { account: account.name, portal: portal.key, attempt });
 
       // If running headless, override UA to look like regular Chrome (avoid "HeadlessChrome")
       try {
@@ -301,142 +490,52 @@ export async function getAuth(options = {}) {
       });
 
       try {
-        logStep('Navigate', 'bayan.logisti.sa');
-        await page.goto('https://bayan.logisti.sa/', { waitUntil: 'networkidle2', timeout: 30000 });
-        logStep('Page load', 'waiting for app-root');
-        await page.waitForSelector('app-root', { timeout: 15000 });
-        await throwIfServerOops(page, 'landing');
-
-        await delay(1500);
-        logStep('Landing', 'waiting for .card');
-        await page.waitForSelector('.card', { visible: true, timeout: 15000 });
-        await throwIfServerOops(page, 'landing cards');
-
-        logStep('Landing', 'click Local Carrier / first card');
-        const clicked = await page.evaluate(() => {
-          const titles = Array.from(document.querySelectorAll('h4.card-title'));
-          const localCarrierTitle = titles.find((el) => el.textContent.trim() === 'Local Carrier');
-          if (localCarrierTitle) {
-            const card = localCarrierTitle.closest('.card');
-            if (card) {
-              card.click();
-              return true;
-            }
-          }
-          return false;
-        });
-        if (!clicked) {
-          await page.click('.column:first-child .card');
-        }
-
-        await delay(2500);
-        await throwIfServerOops(page, 'after local carrier click');
-
-        logStep('Login form', 'waiting for #Username, #password');
-        await page.waitForSelector('#Username', { visible: true, timeout: 20000 });
-        await page.waitForSelector('#password', { visible: true, timeout: 20000 });
-        await throwIfServerOops(page, 'login page');
-
-        logStep('Login form', 'filling credentials and Policy=Email');
-        await page.type('#Username', IDENTITY_NUMBER, { delay: 80 });
-        await page.type('#password', PASSWORD, { delay: 80 });
-        await page.select('#Policy', 'Email');
-        await delay(300);
-
-        logStep('OTP baseline', 'getting latest message id before submit');
-        let baselineOtpMsgId = null;
-        try {
-          const { getLatestMessageMeta } = await import('./otpFetcher.js');
-          const meta = await getLatestMessageMeta(OTP_SENDER);
-          baselineOtpMsgId = meta?.id ?? null;
-          log('OTP baseline message id', baselineOtpMsgId ?? 'none');
-        } catch (e) {
-          log('OTP baseline fetch failed (will still try OTP)', e?.message);
-        }
-
-        logStep('Login', 'submit credentials');
-        await page.click('button[type="submit"][value="login"]');
-        logStep('OTP page', 'waiting for #TwoFactorCode1');
-        await page.waitForSelector('#TwoFactorCode1', { visible: true, timeout: 25000 });
-        await throwIfServerOops(page, 'otp page');
-
-        logStep('OTP', `waiting ${OTP_WAIT_MS}ms for email then fetching OTP`);
-        await delay(OTP_WAIT_MS);
-        const otp = await fetchOtpFromEmail(OTP_SENDER, 30, 2000, 0, baselineOtpMsgId);
-        if (!otp) {
-          console.error('[Auth] OTP fetch returned empty');
-          throw new Error('Failed to fetch OTP from email');
-        }
-        logStep('OTP', `received (length=${otp.length})`);
-
-        const otpDigits = otp.split('');
-        if (otpDigits.length < 4) {
-          console.error('[Auth] OTP too short:', otp?.length);
-          throw new Error(`OTP too short: ${otp}`);
-        }
-        logStep('OTP', 'typing digits into TwoFactorCode1-4');
-        for (let i = 0; i < 4; i++) {
-          const fieldId = `#TwoFactorCode${i + 1}`;
-          await page.click(fieldId);
-          await page.evaluate((id) => {
-            document.querySelector(id).value = '';
-          }, fieldId);
-          await page.type(fieldId, otpDigits[i], { delay: 40 });
-          await delay(150);
-        }
-        await delay(300);
-
-        logStep('OTP', 'waiting for verify button enabled, then submit');
-        await page.waitForFunction(
-          () => {
-            const btn = document.querySelector('button.verify-code');
-            return btn && !btn.disabled;
+        await runLoginFlow(page, flow, {
+          vars: {
+            identityNumber: IDENTITY_NUMBER,
+            password: PASSWORD,
+            otpWaitMs: OTP_WAIT_MS,
+            portal: portal.key,
+            portalTitle: portal.title,
+            otpPolicy: account.otpPolicy,
+            otpMaxRetries: OTP_MAX_RETRIES,
           },
-          { timeout: 10000 }
-        );
-        await page.click('button.verify-code[type="submit"]');
-
-        logStep('Post-login', 'waiting for dashboard/session (up to 60s)');
-        const waitForPostLogin = async (timeoutMs = 60000) => {
-          const start = Date.now();
-          while (Date.now() - start < timeoutMs) {
-            await throwIfServerOops(page, 'post-login wait');
-            let url = '';
-            let cookies = [];
+          logStep: runStep,
+          checkOops: throwIfServerOops,
+          getOtpBaseline: async () => {
             try {
-              url = page.url();
-              cookies = await page.cookies();
+              const baselineId = await otpSource.getBaseline();
+              log('OTP baseline message id', baselineId ?? 'none');
+              return baselineId;
             } catch (e) {
-              await delay(750);
-              continue;
+              log('OTP baseline fetch failed (will still try OTP)', e?.message);
+              return null;
             }
-            const names = new Set((cookies || []).map((c) => c?.name).filter(Boolean));
-            const hasDashboard = (await page.$('.sidebar-menu').catch(() => null)) != null;
-            const hasSessionCookie = names.has('JSESSIONID') || names.has('TS01f96da1') || names.has('lang');
-            const stillOnLogin = url.includes('/login') || (url.includes('#') && url.toLowerCase().includes('login'));
-            if (hasDashboard || (hasSessionCookie && !stillOnLogin)) return;
-            await delay(750);
-          }
-          throw new Error('Post-login state not reached (still on login/OTP page)');
-        };
-        await waitForPostLogin(60000);
-        logStep('Post-login', 'reached');
-
-        await delay(1500);
-        await throwIfServerOops(page, 'after login');
+          },
+          fetchOtp: async (baselineOtpMsgId) => {
+            const startedAtMs = Date.now();
+            const otp = await otpSource.fetchOtp(baselineOtpMsgId);
+            recordOtpWait(otpSource.name, Boolean(otp), Date.now() - startedAtMs);
+            return otp;
+          },
+        });
 
-        logStep('Result', 'reading cookies and storage');
+        runStep('Result', 'reading cookies and storage');
         let cookies = [];
         try {
           cookies = await page.cookies();
         } catch (e) {
-          console.error('[Auth] page.cookies() failed:', e?.message);
+          logger.error('page.cookies() failed:', e?.message);
           throw new Error('Failed to read cookies: ' + (e?.message ?? 'unknown'));
         }
         const cookieHeader = (cookies || []).map((c) => `${c?.name}=${c?.value}`).filter(Boolean).join('; ');
         const cookiesObj = {};
+        // Absolute expiry (ms) of persistent cookies; page.cookies() reports seconds, -1 for session cookies.
+        const cookieExpiry = {};
         (cookies || []).forEach((c) => {
-          if (c?.name != null) cookiesObj[c.name] = c.value ?? '';
+          if (c?.name == null) return;
+          cookiesObj[c.name] = c.value ?? '';
+          if (Number(c.expires) > 0) cookieExpiry[c.name] = Math.round(Number(c.expires) * 1000);
         });
 
         let response = { localStorage: {}, sessionStorage: {} };
@@ -465,6 +564,7 @@ export async function getAuth(options = {}) {
 
         // Same logic as getAuthHeaders.js (raw values)
         let accessToken = null;
+        let tokenSource = null;
         const checkStorage = (storage) => {
           if (!storage) return;
           Object.keys(storage).forEach((key) => {
@@ -479,8 +579,12 @@ export async function getAuth(options = {}) {
         };
         checkStorage(response.localStorage);
         if (!accessToken) checkStorage(response.sessionStorage);
-        if (!accessToken && lastBearerToken) accessToken = lastBearerToken;
-        log('Token source', accessToken ? 'localStorage/sessionStorage or request' : 'none');
+        if (accessToken) tokenSource = 'storage';
+        else if (lastBearerToken) {
+          accessToken = lastBearerToken;
+          tokenSource = 'request';
+        }
+        log('Token source', tokenSource ?? 'none');
 
         let userAgent = '';
         try {
@@ -496,44 +600,259 @@ export async function getAuth(options = {}) {
 
         await ctx.close().catch(() => {});
 
-        const result = { cookie: cookiesObj, cookieHeader, accessToken, headers };
+        const result = { account: account.name, portal: portal.key, cookie: cookiesObj, cookieExpiry, cookieHeader, accessToken, tokenSource, headers };
+        recordLoginAttempt();
         const cookieCount = Object.keys(cookiesObj).length;
-        logStep('Success', `cookies=${cookieCount}, accessToken=${accessToken ? 'yes' : 'no'}`);
+        runStep('Success', `cookies=${cookieCount}, accessToken=${accessToken ? 'yes' : 'no'}`);
+        // Mailbox tidying (OTP_CONSUMED_ACTION) doesn't hold up the caller.
+        otpSource.cleanUp().catch((e) => logger.error('OTP email clean-up failed:', e?.message));
         if (ttlMs > 0 || tryGetJwtExpMs(result?.accessToken)) {
-          cachedAuth = result;
-          cachedAtMs = Date.now();
-          log('Cached result', { ttlMs });
-          await persistAuthCache();
+          state.cachedAuth = result;
+          state.cachedAtMs = Date.now();
+          state.verifiedAtMs = state.cachedAtMs;
+          log('Cached result', { account: account.name, ttlMs });
+          await persistAuthCache(state);
+          emitCached(state, ttlMs, 'login');
         }
         return result;
       } catch (e) {
         lastErr = e;
-        console.error('[Auth] Attempt failed:', e?.message, e?.code || '');
+        if (e && typeof e === 'object' && !isKnownErrorCode(e.code)) e.code = 'LOGIN_FAILED';
+        recordLoginAttempt(e);
+        logger.error('Attempt failed:', e?.message, e?.code || '', e?.flowStep ? `at step ${e.flowStep.index} (${e.flowStep.label})` : '');
+        const saved = await capture.saveFailure(e);
+        if (saved && e && typeof e === 'object') {
+          e.artifactId = saved.id;
+          run?.artifact(saved.id);
+          e.debugScreenshot = saved.screenshot;
+        }
         await ctx.close().catch(() => {});
+        if (!errorInfo(e).retryable) {
+          runStep('Retry', `skipped: ${e?.code} is not retryable`);
+          break;
+        }
         if (attempt < MAX_ATTEMPTS) {
           const backoff = 1500 * attempt;
-          logStep('Retry', `backoff ${backoff}ms before attempt ${attempt + 1}`);
+          runStep('Retry', `backoff ${backoff}ms before attempt ${attempt + 1}`);
           await delay(backoff);
           continue;
         }
       }
     }
 
-    console.error('[Auth] All attempts exhausted');
-    throw lastErr ?? new Error('Login failed');
+    logger.error('Login failed', lastErr?.code || '');
+    throw lastErr ?? codedError('LOGIN_FAILED', 'Login failed');
   } catch (error) {
-    console.error('[Auth] getAuth failed:', error?.message);
+    logger.error('getAuth failed:', error?.message);
     throw error;
   } finally {
-    if (browser?.isConnected?.()) {
-      await browser.close().catch((e) => console.error('[Auth] browser.close error:', e?.message));
+    await lease.release();
+  }
+}
+
+/**
+ * Drop the cached auth of one account (default account and its portal when omitted).
+ * reason goes out with the 'invalidated' event when something was cached.
+ * A login already running is left alone: callers keep joining it instead of starting a second one
+ * (which would request a second OTP), and its fresh session becomes the new cache.
+ */
+export async function invalidateAuthCache({ persist = true, account, portal, reason = 'invalidated' } = {}) {
+  const profile = getAccount(account);
+  const state = getAuthState(profile, resolvePortal(profile, portal));
+  await loadAuthCacheOnce(state);
+  const hadAuth = Boolean(state.cachedAuth);
+  state.cachedAuth = null;
+  state.cachedAtMs = 0;
+  if (persist) await persistAuthCache(state);
+  if (hadAuth) authEvents.emit('invalidated', { account: state.accountName, portal: state.portal, reason });
+}
+
+/**
+ * @param {{ account?: string, portal?: string, forceRefresh?: boolean }} [options]
+ *   account selects the profile, portal the landing card (defaults to the account's portal; see accounts.js).
+ */
+export async function getAuth(options = {}) {
+  return withSpan('getAuth', () => resolveAuth(options), { attributes: { 'bayan.force_refresh': options?.forceRefresh === true } });
+}
+
+async function resolveAuth(options) {
+  const account = getAccount(options?.account);
+  const portal = resolvePortal(account, options?.portal);
+  const state = getAuthState(account, portal);
+  setSpanAttributes({ 'bayan.account': account.name, 'bayan.portal': portal.key });
+  log('getAuth() started', { account: account.name, portal: portal.key });
+  await loadAuthCacheOnce(state);
+
+  const forceRefresh = options?.forceRefresh === true;
+  // A forced refresh must not adopt the rejected session back from the shared store.
+  const replacingCachedAtMs = state.cachedAtMs;
+  if (forceRefresh) {
+    log('Force refresh requested; invalidating cache', { account: account.name, portal: portal.key });
+    await invalidateAuthCache({ persist: false, account: account.name, portal: portal.key, reason: 'force refresh' });
+  }
+
+  const ttlMs = getCacheTtlMs();
+  let missReason = forceRefresh ? 'force refresh' : cacheMissReason(state, { ttlMs });
+  if (!missReason) {
+    const unverifiedMs = Date.now() - (state.verifiedAtMs || state.cachedAtMs);
+    const needsProbe = SESSION_PROBE_ENABLED && unverifiedMs >= SESSION_PROBE_AFTER_MS;
+    if (!needsProbe || (await verifyCachedSession(state, 'before hand-out'))) {
+      log('Using cached auth', { account: account.name, cacheAgeMs: Date.now() - state.cachedAtMs, ttlMs });
+      recordCacheLookup(true);
+      setSpanAttributes({ 'bayan.cache.result': 'hit' });
+      return state.cachedAuth;
     }
+    missReason = 'session probe failed';
+  }
+  recordCacheLookup(false);
+  setSpanAttributes({ 'bayan.cache.result': 'miss', 'bayan.cache.miss_reason': missReason });
+
+  // Coalesce concurrent calls so only one login/OTP happens at a time per account. A forced refresh joins too:
+  // the running login never adopts the session being replaced, so it yields a fresh one.
+  if (state.inFlightAuthPromise) {
+    log('Awaiting in-flight auth refresh', { account: account.name });
+    // The login span belongs to the request that started it; link to it by run id.
+    if (state.currentRun) setSpanAttributes({ 'bayan.login.run_id': state.currentRun.id, 'bayan.login.joined': true });
+    return await state.inFlightAuthPromise;
   }
-  })();
+  logStep('Cache', `miss (account=${account.name}, portal=${portal.key}): ${missReason}`);
 
-  try {
-    return await inFlightAuthPromise;
-  } finally {
-    inFlightAuthPromise = null;
+  return await runSingleFlightLogin(state, account, portal, { ttlMs, replacingCachedAtMs, trigger: 'request', reason: missReason });
+}
+
+/**
+ * Log in again without dropping the current cache: callers keep getting the cached auth until the new one lands.
+ * Joins a login that is already in flight instead of starting a second one.
+ */
+export async function refreshAuthInBackground({ account, portal } = {}) {
+  const profile = getAccount(account);
+  const portalInfo = resolvePortal(profile, portal);
+  const state = getAuthState(profile, portalInfo);
+  await loadAuthCacheOnce(state);
+  if (state.inFlightAuthPromise) {
+    log('Background refresh joining in-flight login', { account: profile.name, portal: portalInfo.key });
+    return await state.inFlightAuthPromise;
+  }
+  log('Background refresh started', { account: profile.name, portal: portalInfo.key });
+  return await runSingleFlightLogin(state, profile, portalInfo, { ttlMs: getCacheTtlMs(), trigger: 'background' });
+}
+
+/**
+ * Start a background refresh (POST /admin/auth/refresh) and return once it is running:
+ * { account, portal, runId, joined } where joined means a login was already in flight.
+ * Throws LOGIN_CIRCUIT_OPEN right away instead of recording a run that can't start.
+ */
+export async function startAuthRefresh({ account, portal } = {}) {
+  const profile = getAccount(account);
+  const portalInfo = resolvePortal(profile, portal);
+  const state = getAuthState(profile, portalInfo);
+  await loadAuthCacheOnce(state);
+  const joined = Boolean(state.inFlightAuthPromise);
+  if (!joined) {
+    assertLoginAllowed(profile.name);
+    log('Admin refresh started', { account: profile.name, portal: portalInfo.key });
+    runSingleFlightLogin(state, profile, portalInfo, { ttlMs: getCacheTtlMs(), trigger: 'admin' }).catch((e) =>
+      logger.error('Admin refresh failed:', e?.message, e?.code || '')
+    );
   }
+  return { account: profile.name, portal: portalInfo.key, runId: state.currentRun?.id ?? null, joined };
+}
+
+/**
+ * Cache timing for one account/portal. Never triggers a login.
+ */
+export async function getAuthCacheInfo({ account, portal } = {}) {
+  const profile = getAccount(account);
+  const portalInfo = resolvePortal(profile, portal);
+  const state = getAuthState(profile, portalInfo);
+  await loadAuthCacheOnce(state);
+  return {
+    account: profile.name,
+    portal: portalInfo.key,
+    cachedAtMs: state.cachedAtMs || null,
+    expiresAtMs: getCacheExpiryMs(state, getCacheTtlMs()),
+    loginInFlight: Boolean(state.inFlightAuthPromise),
+  };
+}
+
+/**
+ * What the service holds for one account/portal, for GET /auth/status. Never triggers a login
+ * and never returns cookie values or the token itself.
+ */
+export async function getAuthStatus({ account, portal } = {}) {
+  const profile = getAccount(account);
+  const portalInfo = resolvePortal(profile, portal);
+  const state = getAuthState(profile, portalInfo);
+  await loadAuthCacheOnce(state);
+  const ttlMs = getCacheTtlMs();
+  const { cachedAuth, cachedAtMs, lastFailure } = state;
+  const expiresAtMs = getCacheExpiryMs(state, ttlMs);
+  const missReason = cacheMissReason(state, { ttlMs });
+  const cookieExpiry = cachedAuth?.cookieExpiry ?? {};
+  return {
+    account: profile.name,
+    portal: portalInfo.key,
+    cached: Boolean(cachedAuth),
+    valid: Boolean(cachedAuth) && missReason === null,
+    invalidReason: cachedAuth ? missReason : null,
+    cachedAt: cachedAtMs ? iso(cachedAtMs) : null,
+    cacheAgeMs: cachedAtMs ? Date.now() - cachedAtMs : null,
+    verifiedAt: state.verifiedAtMs ? iso(state.verifiedAtMs) : null,
+    expiresAt: expiresAtMs ? iso(expiresAtMs) : null,
+    tokenSource: cachedAuth?.accessToken ? cachedAuth.tokenSource ?? null : null,
+    jwt: getJwtSummary(cachedAuth?.accessToken),
+    cookies: Object.keys(cachedAuth?.cookie ?? {}).map((name) => ({
+      name,
+      expiresAt: Number(cookieExpiry[name]) > 0 ? iso(Number(cookieExpiry[name])) : null,
+    })),
+    loginInFlight: Boolean(state.inFlightAuthPromise),
+    lastFailure: lastFailure ? { code: lastFailure.code, message: lastFailure.message, at: iso(lastFailure.atMs) } : null,
+  };
+}
+
+let sessionProbeTimer = null;
+
+/**
+ * Probe every cached session each SESSION_PROBE_INTERVAL_MS; a dead one is invalidated and logged in again.
+ */
+export function startSessionProbeTimer() {
+  if (!SESSION_PROBE_ENABLED || SESSION_PROBE_INTERVAL_MS <= 0 || sessionProbeTimer) return;
+  log('Periodic session probe enabled', { intervalMs: SESSION_PROBE_INTERVAL_MS });
+  let running = false;
+  sessionProbeTimer = setInterval(
+    () =>
+      runWithRequestId(backgroundRequestId('probe'), async () => {
+        if (running) return;
+        running = true;
+        // Reset in finally: one unexpected throw must not leave the flag set and stop probing for good.
+        try {
+          for (const state of authStates.values()) {
+            if (!state.cachedAuth || state.inFlightAuthPromise) continue;
+            const alive = await verifyCachedSession(state, 'periodic');
+            if (alive) continue;
+            try {
+              const account = getAccount(state.accountName);
+              await runSingleFlightLogin(state, account, resolvePortal(account, state.portal), {
+                ttlMs: getCacheTtlMs(),
+                trigger: 'probe',
+                reason: 'session probe failed',
+              });
+            } catch (e) {
+              logger.error('Re-login after failed probe failed:', state.accountName, e?.message);
+            }
+          }
+        } catch (e) {
+          logger.error('Session probe round failed:', e?.message);
+        } finally {
+          running = false;
+        }
+      }),
+    SESSION_PROBE_INTERVAL_MS
+  );
+  sessionProbeTimer.unref?.();
+}
+
+export function stopSessionProbeTimer() {
+  clearInterval(sessionProbeTimer);
+  sessionProbeTimer = null;
 }
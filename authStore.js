@@ -0,0 +1,187 @@
+import { randomBytes } from 'crypto';
+import { link, readFile, rename, stat, unlink, writeFile } from 'fs/promises';
+import Redis from 'ioredis';
+import { openCache, readCacheFile, sealCache, writeCacheFile } from './cacheFile.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Store');
+const log = logger.info;
+
+/**
+ * Where cached auth lives and how instances agree on who logs in.
+ *   load(state) / save(state, { cachedAtMs, cachedAuth })
+ *   tryLock(state, ttlMs) → lock | null     one holder per account/portal across processes
+ *   extendLock(lock, ttlMs) → boolean       false once the lock was lost (expired and taken)
+ *   unlock(lock)
+ * AUTH_STORE=file (default): AUTH_CACHE_FILE per account + "<file>.lock"; shared by processes on one host.
+ * AUTH_STORE=redis: REDIS_URL; shared by every instance pointed at the same Redis.
+ */
+
+const BACKEND = (process.env.AUTH_STORE || 'file').trim().toLowerCase();
+const REDIS_URL = (process.env.REDIS_URL || 'redis://127.0.0.1:6379').trim();
+const KEY_PREFIX = (process.env.AUTH_STORE_PREFIX || 'bayan-auth:').trim();
+
+const newToken = () => `${process.pid}-${randomBytes(8).toString('hex')}`;
+
+function fileStore() {
+  const lockFile = (state) => `${state.cacheFile}.lock`;
+
+  // Lock files are written whole to a temp file first, so another instance never reads a partial one.
+  async function writeTemp(file, token, ttlMs) {
+    const tmp = `${file}.${token}.${randomBytes(4).toString('hex')}.tmp`;
+    await writeFile(tmp, JSON.stringify({ token, expiresAtMs: Date.now() + ttlMs }), { encoding: 'utf8', mode: 0o600 });
+    return tmp;
+  }
+
+  /**
+   * { token, expiresAtMs } of the lock in file, or null when there is none. A lock that can't be parsed
+   * counts as held, expiring ttlMs after it was last written (a crash can't block the account for good).
+   */
+  async function readLock(file, ttlMs = 0) {
+    let raw;
+    try {
+      raw = await readFile(file, 'utf8');
+    } catch (e) {
+      if (e?.code === 'ENOENT') return null;
+      throw e;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      if (typeof parsed?.token === 'string' && Number.isFinite(Number(parsed.expiresAtMs))) return parsed;
+    } catch (_) {
+      // fall through
+    }
+    const { mtimeMs } = await stat(file).catch(() => ({ mtimeMs: Date.now() }));
+    return { token: null, expiresAtMs: mtimeMs + ttlMs };
+  }
+
+  /** Move an expired lock out of the way; false when someone else got there first or the lock is live again. */
+  async function removeExpired(file, expired) {
+    const aside = `${file}.${newToken()}.stale`;
+    try {
+      await rename(file, aside);
+    } catch (e) {
+      if (e?.code === 'ENOENT') return false;
+      throw e;
+    }
+    const moved = await readLock(aside);
+    // Same token and expiry: still the expired lock (unparseable ones have no token to compare).
+    if (moved && moved.token === expired.token && (expired.token === null || moved.expiresAtMs === expired.expiresAtMs)) {
+      log('Removed expired lock', { file });
+      await unlink(aside).catch(() => {});
+      return true;
+    }
+    // Between our read and the rename, another waiter replaced the expired lock with its own: put that back.
+    await link(aside, file).catch((e) => logger.error('Could not restore a login lock taken by mistake:', file, e?.message));
+    await unlink(aside).catch(() => {});
+    return false;
+  }
+
+  return {
+    name: 'file',
+    load: (state) => readCacheFile(state.cacheFile, state.key),
+    save: (state, value) => writeCacheFile(state.cacheFile, value, state.key),
+    async tryLock(state, ttlMs) {
+      const file = lockFile(state);
+      const token = newToken();
+      for (let i = 0; i < 2; i++) {
+        const tmp = await writeTemp(file, token, ttlMs);
+        try {
+          // link() fails with EEXIST when the lock exists, so only one instance can create it.
+          await link(tmp, file);
+          return { state, file, token };
+        } catch (e) {
+          if (e?.code !== 'EEXIST') throw e;
+        } finally {
+          await unlink(tmp).catch(() => {});
+        }
+        // Held: take it over only when the holder let it expire (crashed mid-login).
+        const current = await readLock(file, ttlMs);
+        if (current && Number(current.expiresAtMs) > Date.now()) return null;
+        if (current && !(await removeExpired(file, current))) return null;
+      }
+      return null;
+    },
+    async extendLock(lock, ttlMs) {
+      const current = await readLock(lock.file);
+      if (current?.token !== lock.token) return false;
+      const tmp = await writeTemp(lock.file, lock.token, ttlMs);
+      try {
+        // rename() replaces the lock in one step, so it never reads as empty while being renewed.
+        await rename(tmp, lock.file);
+      } catch (e) {
+        await unlink(tmp).catch(() => {});
+        throw e;
+      }
+      return true;
+    },
+    async unlock(lock) {
+      const current = await readLock(lock.file).catch(() => null);
+      if (current?.token === lock.token) await unlink(lock.file).catch(() => {});
+    },
+    close: async () => {},
+  };
+}
+
+// Compare-and-delete / compare-and-extend so a holder whose lock expired can't drop the next holder's.
+const UNLOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+const EXTEND_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end`;
+
+function redisStore() {
+  // No INFO-based ready check: several Redis-compatible servers (and local stand-ins) don't implement INFO.
+  const client = new Redis(REDIS_URL, { maxRetriesPerRequest: 2, enableReadyCheck: false });
+  client.on('error', (e) => logger.error('Redis error:', e?.message));
+  client.on('ready', () => log('Redis connected', { url: REDIS_URL.replace(/\/\/[^@]*@/, '//***@') }));
+  const cacheKey = (state) => `${KEY_PREFIX}cache:${state.key}`;
+  const lockKey = (state) => `${KEY_PREFIX}lock:${state.key}`;
+
+  return {
+    name: 'redis',
+    async load(state) {
+      const raw = await client.get(cacheKey(state));
+      return raw == null ? null : openCache(raw, state.key, cacheKey(state));
+    },
+    async save(state, value) {
+      await client.set(cacheKey(state), sealCache(value, state.key));
+    },
+    async tryLock(state, ttlMs) {
+      const token = newToken();
+      const ok = await client.set(lockKey(state), token, 'PX', ttlMs, 'NX');
+      return ok === 'OK' ? { state, key: lockKey(state), token } : null;
+    },
+    async extendLock(lock, ttlMs) {
+      return (await client.eval(EXTEND_SCRIPT, 1, lock.key, lock.token, String(ttlMs))) === 1;
+    },
+    async unlock(lock) {
+      await client.eval(UNLOCK_SCRIPT, 1, lock.key, lock.token);
+    },
+    close: () => client.quit().catch(() => {}),
+  };
+}
+
+let store = null;
+
+/** A new store for backend (default AUTH_STORE). The app shares one via getAuthStore(); checkAuthStore.js opens two. */
+export function createAuthStore(backend = BACKEND) {
+  if (backend !== 'file' && backend !== 'redis') {
+    const err = new Error(`Unknown AUTH_STORE "${backend}" (use file or redis)`);
+    err.code = 'MISSING_CONFIG';
+    throw err;
+  }
+  return backend === 'redis' ? redisStore() : fileStore();
+}
+
+/** The configured store (created on first use). */
+export function getAuthStore() {
+  if (!store) {
+    store = createAuthStore();
+    log('Auth store', BACKEND);
+  }
+  return store;
+}
+
+export async function closeAuthStore() {
+  const current = store;
+  store = null;
+  await current?.close();
+}
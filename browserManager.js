@@ -0,0 +1,257 @@
+import puppeteer from 'puppeteer-core';
+import { existsSync } from 'fs';
+import { codedError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Browser');
+const log = logger.info;
+
+// Long-lived browser reused across logins (BROWSER_POOL=true). Each login still gets its own browser context.
+const POOL_ENABLED = process.env.BROWSER_POOL === 'true';
+// Recycle the pooled browser after this many logins / this much uptime (0 disables) to cap memory growth.
+const RECYCLE_AFTER_LOGINS = Number(process.env.BROWSER_RECYCLE_LOGINS ?? 20) || 0;
+const RECYCLE_AFTER_MS = Number(process.env.BROWSER_RECYCLE_MS ?? 60 * 60 * 1000) || 0;
+const HEALTHCHECK_TIMEOUT_MS = 5000;
+
+let pooled = null; // { browser, launchedAtMs, logins, leases, retiring }
+let launching = null;
+let shuttingDown = false;
+
+function firstExistingPath(paths) {
+  for (const p of paths) {
+    if (typeof p !== 'string' || !p.trim()) continue;
+    try {
+      if (existsSync(p)) return p;
+    } catch (_) {
+      // ignore permission/fs errors
+    }
+  }
+  return null;
+}
+
+function getBrowserExecutablePath() {
+  const envPath =
+    typeof process.env.PUPPETEER_EXECUTABLE_PATH === 'string'
+      ? process.env.PUPPETEER_EXECUTABLE_PATH.trim()
+      : '';
+  if (envPath) {
+    try {
+      if (existsSync(envPath)) return envPath;
+    } catch (_) {
+      // ignore fs errors
+    }
+  }
+
+  const platform = process.platform;
+
+  if (platform === 'darwin') {
+    return firstExistingPath([
+      '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+      '/Applications/Chromium.app/Contents/MacOS/Chromium',
+      '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
+      '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+    ]);
+  }
+
+  if (platform === 'win32') {
+    const pf = process.env.PROGRAMFILES;
+    const pf86 = process.env['PROGRAMFILES(X86)'];
+    const local = process.env.LOCALAPPDATA;
+
+    return firstExistingPath([
+      // Chrome
+      pf ? `${pf}\\Google\\Chrome\\Application\\chrome.exe` : null,
+      pf86 ? `${pf86}\\Google\\Chrome\\Application\\chrome.exe` : null,
+      local ? `${local}\\Google\\Chrome\\Application\\chrome.exe` : null,
+      // Edge
+      pf ? `${pf}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
+      pf86 ? `${pf86}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
+      local ? `${local}\\Microsoft\\Edge\\Application\\msedge.exe` : null,
+    ]);
+  }
+
+  // linux + others (includes common paths on Amazon Linux, RHEL, Debian, etc.)
+  return firstExistingPath([
+    '/usr/bin/google-chrome',
+    '/usr/bin/google-chrome-stable',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/usr/bin/chromium-browser-unstable',
+    '/snap/bin/chromium',
+    '/usr/bin/microsoft-edge',
+    '/usr/bin/microsoft-edge-stable',
+    '/usr/lib64/chromium-browser/chromium-browser', // some Amazon Linux / RHEL
+  ]);
+}
+
+
+/**
+ * Launch Chrome/Chromium/Edge with the flags we need on headless Linux hosts.
+ */
+export async function launchBrowser() {
+  const executablePath = getBrowserExecutablePath();
+  if (!executablePath) {
+    logger.error('No Chrome/Chromium/Edge executable found');
+    throw codedError(
+      'BROWSER_NOT_FOUND',
+      'Chrome/Chromium/Edge not found. Install a supported browser, or set PUPPETEER_EXECUTABLE_PATH and use it here.'
+    );
+  }
+  const headless = process.env.HEADLESS !== 'false';
+  log('Launch', { executablePath, headless });
+
+  const args = [
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-gpu',
+    '--disable-dev-shm-usage',
+    '--disable-software-rasterizer',
+    '--disable-extensions',
+  ];
+  if (process.platform === 'linux') {
+    args.push('--no-sandbox', '--disable-setuid-sandbox');
+  }
+
+  try {
+    const browser = await puppeteer.launch({
+      headless,
+      args,
+      defaultViewport: null,
+      ignoreHTTPSErrors: true,
+      timeout: 60000,
+      executablePath,
+    });
+    log('Browser launched successfully');
+    return browser;
+  } catch (err) {
+    logger.error('Browser launch failed:', err.message);
+    throw codedError('BROWSER_LAUNCH_FAILED', 'Failed to launch browser: ' + err.message);
+  }
+}
+
+async function closeQuietly(browser) {
+  if (browser?.isConnected?.()) {
+    await browser.close().catch((e) => logger.error('browser.close error:', e?.message));
+  }
+}
+
+async function isHealthy(browser) {
+  if (!browser?.isConnected?.()) return false;
+  try {
+    await Promise.race([
+      browser.version(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('health check timed out')), HEALTHCHECK_TIMEOUT_MS)),
+    ]);
+    return true;
+  } catch (e) {
+    log('Health check failed', e?.message);
+    return false;
+  }
+}
+
+function needsRecycle(entry) {
+  if (RECYCLE_AFTER_LOGINS > 0 && entry.logins >= RECYCLE_AFTER_LOGINS) return `after ${entry.logins} logins`;
+  if (RECYCLE_AFTER_MS > 0 && Date.now() - entry.launchedAtMs >= RECYCLE_AFTER_MS) return 'max age reached';
+  return null;
+}
+
+/** Stop handing out this browser; close it once the last login using it is done. */
+function retire(entry, reason) {
+  if (entry.retiring) return;
+  entry.retiring = true;
+  if (pooled === entry) pooled = null;
+  log('Retiring pooled browser', { reason, logins: entry.logins, activeLeases: entry.leases });
+  if (entry.leases === 0) closeQuietly(entry.browser);
+}
+
+async function launchPooled() {
+  const browser = await launchBrowser();
+  const entry = { browser, launchedAtMs: Date.now(), logins: 0, leases: 0, retiring: false };
+  browser.on('disconnected', () => {
+    const unexpected = !entry.retiring;
+    entry.retiring = true;
+    if (pooled === entry) pooled = null;
+    log('Pooled browser disconnected', { logins: entry.logins, unexpected });
+    // Crashed: launch a replacement now so the next login doesn't pay for it.
+    if (unexpected && !shuttingDown) warmUpBrowserPool();
+  });
+  pooled = entry;
+  return entry;
+}
+
+async function getPooled() {
+  if (pooled) {
+    const reason = needsRecycle(pooled);
+    if (reason) retire(pooled, reason);
+    else if (!(await isHealthy(pooled.browser))) retire(pooled, 'unhealthy');
+  }
+  if (pooled) return pooled;
+  // Coalesce concurrent launches (several accounts logging in at once).
+  if (!launching) {
+    launching = launchPooled().finally(() => {
+      launching = null;
+    });
+  }
+  return await launching;
+}
+
+/**
+ * Get a browser for one login. Call release() when done: it closes a one-off browser,
+ * or returns a pooled one (closing it if it was retired meanwhile).
+ * @returns {Promise<{ browser: import('puppeteer-core').Browser, pooled: boolean, release: () => Promise<void> }>}
+ */
+export async function acquireBrowser() {
+  if (!POOL_ENABLED) {
+    const browser = await launchBrowser();
+    return { browser, pooled: false, release: () => closeQuietly(browser) };
+  }
+  const entry = await getPooled();
+  entry.leases++;
+  entry.logins++;
+  log('Pooled browser acquired', { logins: entry.logins, activeLeases: entry.leases });
+  let released = false;
+  return {
+    browser: entry.browser,
+    pooled: true,
+    release: async () => {
+      if (released) return;
+      released = true;
+      entry.leases--;
+      if (!entry.retiring && needsRecycle(entry)) retire(entry, needsRecycle(entry));
+      if (entry.retiring && entry.leases === 0) await closeQuietly(entry.browser);
+    },
+  };
+}
+
+/** Launch the pooled browser ahead of the first login. */
+export async function warmUpBrowserPool() {
+  if (!POOL_ENABLED || shuttingDown) return;
+  try {
+    await getPooled();
+  } catch (e) {
+    logger.error('Warm-up failed:', e?.message);
+  }
+}
+
+export async function closeBrowserPool() {
+  shuttingDown = true;
+  const entry = pooled;
+  pooled = null;
+  if (entry) {
+    entry.retiring = true;
+    await closeQuietly(entry.browser);
+  }
+}
+
+export function getBrowserPoolStatus() {
+  return {
+    enabled: POOL_ENABLED,
+    running: Boolean(pooled?.browser?.isConnected?.()),
+    launchedAt: pooled ? new Date(pooled.launchedAtMs).toISOString() : null,
+    logins: pooled?.logins ?? 0,
+    activeLeases: pooled?.leases ?? 0,
+    recycleAfterLogins: RECYCLE_AFTER_LOGINS,
+    recycleAfterMs: RECYCLE_AFTER_MS,
+  };
+}
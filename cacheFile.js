@@ -0,0 +1,114 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto';
+import { readFileSync } from 'fs';
+import { readFile, rename, unlink, writeFile } from 'fs/promises';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('CacheFile');
+
+const ALG = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+
+/**
+ * 32-byte key from AUTH_CACHE_KEY or AUTH_CACHE_KEY_FILE: 64 hex chars or base64 of 32 bytes are used as-is,
+ * anything else is treated as a passphrase (scrypt). null = no key configured (cache stays plain JSON).
+ */
+function loadKey() {
+  let raw = (process.env.AUTH_CACHE_KEY || '').trim();
+  const keyFile = (process.env.AUTH_CACHE_KEY_FILE || '').trim();
+  if (!raw && keyFile) raw = readFileSync(keyFile, 'utf8').trim();
+  if (!raw) return null;
+  if (/^[0-9a-f]{64}$/i.test(raw)) return Buffer.from(raw, 'hex');
+  const b64 = Buffer.from(raw, 'base64');
+  if (b64.length === 32 && /^[A-Za-z0-9+/]+={0,2}$/.test(raw)) return b64;
+  return scryptSync(raw, 'bayan-auth-cache', 32);
+}
+
+const KEY = loadKey();
+// Short fingerprint stored with the ciphertext so a rotated key is reported as such, not as tampering.
+const KEY_ID = KEY ? createHash('sha256').update(KEY).digest('hex').slice(0, 16) : null;
+
+// Plain JSON only by explicit opt-out, so a deployment that forgot the key doesn't leave sessions readable on disk.
+const PLAINTEXT_ALLOWED = (process.env.AUTH_CACHE_ENCRYPTION || '').trim().toLowerCase() === 'off';
+
+if (!KEY && PLAINTEXT_ALLOWED) {
+  logger.warn('AUTH_CACHE_ENCRYPTION=off: auth cache files are written unencrypted (mode 0600)');
+} else if (!KEY) {
+  logger.error('AUTH_CACHE_KEY is not set: sessions are not persisted (set AUTH_CACHE_KEY, or AUTH_CACHE_ENCRYPTION=off for plain JSON)');
+}
+
+function cacheError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Decode a cache value produced by sealCache. aad binds the ciphertext to one cache (the state key),
+ * so a value copied over another account's cache fails to decrypt.
+ * Throws CACHE_KEY_MISMATCH, CACHE_TAMPERED or CACHE_UNENCRYPTED (plain JSON without AUTH_CACHE_ENCRYPTION=off).
+ */
+export function openCache(raw, aad, where = 'auth cache') {
+  const obj = JSON.parse(raw);
+  if (obj?.alg !== ALG) {
+    // Refuse plaintext unless opted out: it may have been planted to hand us a foreign session.
+    if (KEY || !PLAINTEXT_ALLOWED) throw cacheError(`${where} is not encrypted`, 'CACHE_UNENCRYPTED');
+    return obj;
+  }
+  if (!KEY) throw cacheError(`${where} is encrypted but AUTH_CACHE_KEY is not set`, 'CACHE_KEY_MISMATCH');
+  if (obj.kid !== KEY_ID) throw cacheError(`${where} was encrypted with a different key`, 'CACHE_KEY_MISMATCH');
+  try {
+    const decipher = createDecipheriv(ALG, KEY, Buffer.from(obj.iv, 'base64'));
+    decipher.setAAD(Buffer.from(String(aad), 'utf8'));
+    decipher.setAuthTag(Buffer.from(obj.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(obj.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (_) {
+    throw cacheError(`${where} failed authentication (tampered or corrupt)`, 'CACHE_TAMPERED');
+  }
+}
+
+/** Serialize a cache value: encrypted, or plain JSON with AUTH_CACHE_ENCRYPTION=off. Throws MISSING_CONFIG without either. */
+export function sealCache(value, aad) {
+  const body = JSON.stringify(value, null, 2);
+  if (!KEY) {
+    if (PLAINTEXT_ALLOWED) return body;
+    throw cacheError('AUTH_CACHE_KEY is not set (or set AUTH_CACHE_ENCRYPTION=off to write plain JSON)', 'MISSING_CONFIG');
+  }
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALG, KEY, iv);
+  cipher.setAAD(Buffer.from(String(aad), 'utf8'));
+  const data = Buffer.concat([cipher.update(body, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    v: FORMAT_VERSION,
+    alg: ALG,
+    kid: KEY_ID,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/** Read a cache file written by writeCacheFile; null when it doesn't exist (see openCache for errors). */
+export async function readCacheFile(file, aad) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (e) {
+    if (e?.code === 'ENOENT') return null;
+    throw e;
+  }
+  return openCache(raw, aad, file);
+}
+
+/** Seal and atomically replace file: temp file with mode 0600, then rename. */
+export async function writeCacheFile(file, value, aad) {
+  const body = sealCache(value, aad);
+  const tmp = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await writeFile(tmp, body, { encoding: 'utf8', mode: 0o600 });
+    await rename(tmp, file);
+  } catch (e) {
+    await unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
@@ -0,0 +1,200 @@
+import 'dotenv/config';
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import { randomBytes } from 'crypto';
+import { mkdtemp, open, rm, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { setTimeout as delay } from 'timers/promises';
+import { createLogger } from './logger.js';
+
+/**
+ * Exercises the login lock with several store instances, as several app instances would use it:
+ * acquire, renew past the first TTL, release, wait for the holder, takeover of an expired lock,
+ * the same with several instances racing at once, and a session saved by one instance read by the other.
+ * AUTH_STORE picks the backend (file in a temp dir by default; redis uses REDIS_URL, e.g. a local redis-server).
+ * Exits non-zero on the first failed step.
+ */
+
+const logger = createLogger('CheckStore');
+const log = logger.info;
+
+const backend = (process.env.AUTH_STORE || 'file').trim().toLowerCase();
+// Sessions are only written encrypted (cacheFile.js); a throwaway key serves this run's temp data.
+process.env.AUTH_CACHE_KEY = randomBytes(32).toString('hex');
+const { createAuthStore } = await import('./authStore.js');
+const CONTENDERS = 3;
+const CONTEND_MS = 3000;
+
+/**
+ * One contender process: take the lock, hold it across renewals, release it (or, every fourth time,
+ * leave it to expire like a crashed holder), for untilMs. While holding it creates "<cache file>.holder"
+ * exclusively, so two holders at once show up as an overlap. Prints { held, overlaps, lost } as JSON.
+ */
+async function contend(cacheFile, key, untilMs) {
+  const store = createAuthStore(backend);
+  const lockState = { key, cacheFile };
+  const marker = `${cacheFile}.holder`;
+  const result = { held: 0, overlaps: 0, lost: 0 };
+  for (let round = 1; Date.now() < untilMs; round++) {
+    const lock = await store.tryLock(lockState, 200);
+    if (!lock) {
+      await delay(1);
+      continue;
+    }
+    result.held += 1;
+    try {
+      await (await open(marker, 'wx')).close();
+    } catch (_) {
+      result.overlaps += 1;
+      await store.unlock(lock);
+      continue;
+    }
+    for (let i = 0; i < 3; i++) {
+      await delay(15);
+      if (!(await store.extendLock(lock, 200))) result.lost += 1;
+    }
+    await unlink(marker);
+    if (round % 4) await store.unlock(lock);
+  }
+  await store.close();
+  process.stdout.write(JSON.stringify(result));
+}
+
+if (process.argv[2] === 'contend') {
+  await contend(process.argv[3], process.argv[4], Number(process.argv[5]));
+  process.exit(0);
+}
+
+const dir = await mkdtemp(join(tmpdir(), 'bayan-store-check-'));
+// Unique key per run, so a Redis shared with other runs starts clean.
+const state = { key: `check-${process.pid}-${Date.now()}@portal`, cacheFile: join(dir, 'auth-cache.json') };
+const a = createAuthStore(backend);
+const b = createAuthStore(backend);
+// Extra instances for the contention steps, racing a and b for the same lock.
+const others = [createAuthStore(backend), createAuthStore(backend)];
+const all = [a, b, ...others];
+
+/** Every instance calls tryLock at once; returns the locks that were granted. */
+async function raceForLock(ttlMs) {
+  return (await Promise.all(all.map((store) => store.tryLock(state, ttlMs).then((lock) => lock && { store, lock })))).filter(Boolean);
+}
+
+async function step(name, fn) {
+  await fn();
+  log('ok', name);
+}
+
+try {
+  log('Checking', { backend });
+
+  let lockA;
+  await step('acquire: first instance gets the lock, second is refused', async () => {
+    lockA = await a.tryLock(state, 1000);
+    assert.ok(lockA, 'first tryLock should succeed');
+    assert.equal(await b.tryLock(state, 1000), null, 'second tryLock should be refused while held');
+  });
+
+  await step('renew: an extended lock outlives its first TTL', async () => {
+    await delay(600);
+    assert.equal(await a.extendLock(lockA, 1000), true, 'holder should be able to extend');
+    await delay(600);
+    assert.equal(await b.tryLock(state, 1000), null, 'lock should still be held after the first TTL');
+  });
+
+  let lockB;
+  await step('wait + release: a waiting instance gets the lock once the holder releases it', async () => {
+    const releaseLater = delay(300).then(() => a.unlock(lockA));
+    // Same shape as the wait loop in authService.loginWithSharedLock, on a shorter poll.
+    const deadline = Date.now() + 3000;
+    let polls = 0;
+    while (!lockB && Date.now() < deadline) {
+      lockB = await b.tryLock(state, 1000);
+      if (!lockB) {
+        polls += 1;
+        await delay(100);
+      }
+    }
+    await releaseLater;
+    assert.ok(lockB, 'waiter should acquire the lock after release');
+    assert.ok(polls > 0, 'waiter should have been refused at least once');
+    assert.equal(await a.extendLock(lockA, 1000), false, 'released lock should not be extendable');
+  });
+
+  await step('expiry: a lock left to expire is taken over, and the old holder cannot touch the new one', async () => {
+    await b.unlock(lockB);
+    const stale = await b.tryLock(state, 200);
+    assert.ok(stale, 'should acquire a short lock');
+    await delay(400);
+    const taken = await a.tryLock(state, 1000);
+    assert.ok(taken, 'expired lock should be taken over');
+    assert.equal(await b.extendLock(stale, 1000), false, 'old holder should not extend the new lock');
+    await b.unlock(stale);
+    assert.equal(await b.tryLock(state, 1000), null, "old holder's unlock should not release the new lock");
+    await a.unlock(taken);
+  });
+
+  await step('concurrent acquire: instances racing for a free lock get exactly one', async () => {
+    for (let round = 0; round < 30; round++) {
+      const winners = await raceForLock(5000);
+      assert.equal(winners.length, 1, `round ${round}: ${winners.length} instances hold the lock`);
+      await winners[0].store.unlock(winners[0].lock);
+    }
+  });
+
+  await step('concurrent takeover: instances racing for an expired lock get exactly one', async () => {
+    for (let round = 0; round < 20; round++) {
+      const expired = await a.tryLock(state, 1);
+      assert.ok(expired, `round ${round}: should acquire a short lock`);
+      await delay(5);
+      const winners = await raceForLock(5000);
+      assert.equal(winners.length, 1, `round ${round}: ${winners.length} instances took the expired lock`);
+      const [{ store, lock }] = winners;
+      assert.equal(await store.extendLock(lock, 5000), true, `round ${round}: the winner should still hold the lock`);
+      await store.unlock(lock);
+    }
+  });
+
+  await step('renew under contention: a lock being renewed is never taken by the others', async () => {
+    const lock = await a.tryLock(state, 2000);
+    assert.ok(lock, 'should acquire the lock');
+    for (let round = 0; round < 30; round++) {
+      const [held, ...attempts] = await Promise.all([a.extendLock(lock, 2000), ...all.slice(1).map((store) => store.tryLock(state, 2000))]);
+      assert.equal(held, true, `round ${round}: renewal should keep the lock`);
+      assert.ok(attempts.every((x) => x === null), `round ${round}: another instance took the lock during a renewal`);
+    }
+    await a.unlock(lock);
+  });
+
+  await step(`processes: ${CONTENDERS} processes taking, renewing, releasing and abandoning the lock never hold it at once`, async () => {
+    const untilMs = Date.now() + CONTEND_MS;
+    const run = promisify(execFile);
+    const env = { ...process.env, AUTH_STORE: backend, LOG_LEVEL: 'error' };
+    const outputs = await Promise.all(
+      Array.from({ length: CONTENDERS }, () =>
+        run(process.execPath, [fileURLToPath(import.meta.url), 'contend', state.cacheFile, state.key, String(untilMs)], { env, timeout: CONTEND_MS + 30000 })
+      )
+    );
+    const totals = outputs.map(({ stdout }) => JSON.parse(stdout)).reduce((sum, r) => ({ held: sum.held + r.held, overlaps: sum.overlaps + r.overlaps, lost: sum.lost + r.lost }));
+    log('Contention result', totals);
+    assert.equal(totals.overlaps, 0, `${totals.overlaps} time(s) two processes held the lock at once`);
+    assert.equal(totals.lost, 0, `${totals.lost} renewal(s) found the lock taken by another process`);
+    assert.ok(totals.held >= CONTENDERS, 'each process should have had a few turns');
+  });
+
+  await step('save/load: a session saved by one instance is read by the other', async () => {
+    const value = { cachedAtMs: Date.now(), cachedAuth: { accessToken: 'check-token', cookie: 'check=1' } };
+    await a.save(state, value);
+    assert.deepEqual(await b.load(state), value);
+  });
+
+  log('All auth store checks passed', { backend });
+} catch (e) {
+  logger.error('Auth store check failed:', e?.message);
+  process.exitCode = 1;
+} finally {
+  await Promise.all([a.close(), b.close()]);
+  await rm(dir, { recursive: true, force: true });
+}
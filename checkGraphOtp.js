@@ -0,0 +1,199 @@
+import assert from 'assert/strict';
+import { randomBytes } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Runs the Graph OTP polling in otpFetcher.js against a mock Graph on 127.0.0.1 (no Azure app needed):
+ * window and delta polling, delta paging (@odata.nextLink until @odata.deltaLink), and the fallback to
+ * the full scan when Graph rejects the filtered query, both when the watch starts and mid-poll, without
+ * ever returning mail from before the watch, and retries (no scan) when Graph throttles the query.
+ * Exits non-zero on the first failed step.
+ */
+
+const logger = createLogger('CheckGraph');
+const log = logger.info;
+
+const SENDER = 'NoReply@logisti.sa';
+const TOO_COMPLEX = 'The restriction or sort order is too complex for this operation.';
+
+// folder → messages, newest last; ids are unique across the run so the consumed-OTP list never gets in the way.
+const folders = { inbox: [], junkemail: [] };
+// Delta state per token: the folder and how many of its messages the token has already reported.
+const deltaTokens = new Map();
+const mock = { rejectFilter: false, rejectDelta: false, throttle: false, requests: [] };
+let nextId = 1;
+
+function clearMailbox() {
+  folders.inbox.length = 0;
+  folders.junkemail.length = 0;
+}
+
+function addMessage(folder, code, { agoMs = 0, from = SENDER } = {}) {
+  const msg = {
+    id: `msg-${nextId++}`,
+    subject: 'Bayan verification code',
+    bodyPreview: `Your verification code is ${code}`,
+    receivedDateTime: new Date(Date.now() - agoMs).toISOString(),
+    from: { emailAddress: { address: from } },
+  };
+  folders[folder].push(msg);
+  return msg;
+}
+
+const newestFirst = (list) => list.slice().sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
+
+function sinceFilter(list, filter) {
+  const m = /receivedDateTime ge (\S+)/.exec(filter || '');
+  return m ? list.filter((msg) => new Date(msg.receivedDateTime) >= new Date(m[1])) : list;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function handle(req, res, baseUrl) {
+  const url = new URL(req.url, baseUrl);
+  const q = url.searchParams;
+  mock.requests.push(`${req.method} ${url.pathname}${url.search}`);
+  // Throttling hits the window/delta queries; the unfiltered scan requests still go through.
+  if (mock.throttle && (q.has('$filter') || q.has('$deltatoken') || url.pathname.endsWith('/delta'))) {
+    res.setHeader('Retry-After', '0');
+    return send(res, 429, { error: { code: 'TooManyRequests', message: 'Application is over its MailboxConcurrency limit.' } });
+  }
+  let m;
+  if ((m = /^\/v1\.0\/users\/[^/]+\/mailFolders\/(\w+)\/messages\/delta$/.exec(url.pathname))) {
+    const folder = m[1];
+    if (mock.rejectDelta) return send(res, 400, { error: { code: 'ErrorInvalidRestriction', message: TOO_COMPLEX } });
+    const link = (query) => `${baseUrl}/v1.0/users/mb/mailFolders/${folder}/messages/delta?${query}`;
+    const issueDeltaLink = () => {
+      const token = `t${deltaTokens.size + 1}`;
+      deltaTokens.set(token, { folder, seen: folders[folder].length });
+      return link(`$deltatoken=${token}`);
+    };
+    if (q.has('$deltatoken')) {
+      const prev = deltaTokens.get(q.get('$deltatoken'));
+      return send(res, 200, { value: folders[folder].slice(prev.seen), '@odata.deltaLink': issueDeltaLink() });
+    }
+    // Initial round: one message per page, so a folder with messages takes several pages.
+    const list = newestFirst(sinceFilter(folders[folder], q.get('$filter')));
+    const page = Number(q.get('$skiptoken') || 0);
+    const rest = list.slice(page + 1);
+    return send(res, 200, {
+      value: list.slice(page, page + 1),
+      ...(rest.length ? { '@odata.nextLink': link(`$skiptoken=${page + 1}`) } : { '@odata.deltaLink': issueDeltaLink() }),
+    });
+  }
+  if ((m = /^\/v1\.0\/users\/[^/]+\/(?:mailFolders\/(\w+)\/)?messages$/.exec(url.pathname))) {
+    if (q.has('$filter') && mock.rejectFilter) return send(res, 400, { error: { code: 'InefficientFilter', message: TOO_COMPLEX } });
+    const list = m[1] ? folders[m[1]] : [...folders.inbox, ...folders.junkemail];
+    return send(res, 200, { value: newestFirst(sinceFilter(list, q.get('$filter'))).slice(0, Number(q.get('$top')) || 25) });
+  }
+  if ((m = /^\/v1\.0\/users\/[^/]+\/messages\/([^/]+)$/.exec(url.pathname))) {
+    const msg = [...folders.inbox, ...folders.junkemail].find((x) => x.id === m[1]);
+    return msg ? send(res, 200, { ...msg, body: { contentType: 'text', content: msg.bodyPreview } }) : send(res, 404, { error: { code: 'ErrorItemNotFound', message: 'not found' } });
+  }
+  return send(res, 404, { error: { code: 'NotFound', message: url.pathname } });
+}
+
+const dir = await mkdtemp(join(tmpdir(), 'bayan-graph-check-'));
+const server = createServer((req, res) => handle(req, res, `http://127.0.0.1:${server.address().port}`));
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+// Before otpFetcher.js loads: it reads these once. Empty Azure settings keep a local .env from adding credentials.
+Object.assign(process.env, {
+  GRAPH_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+  USER_EMAIL: 'mb',
+  AZURE_TENANT_ID: '',
+  AZURE_CLIENT_ID: '',
+  AZURE_CLIENT_SECRET: '',
+  OTP_CONSUMED_FILE: join(dir, 'consumed.json'),
+  // The consumed-OTP list is only written encrypted; a throwaway key serves this run's temp file.
+  AUTH_CACHE_KEY: randomBytes(32).toString('hex'),
+});
+const { fetchOtpFromEmail, startGraphOtpWatch } = await import('./otpFetcher.js');
+
+const requestsSince = (from) => mock.requests.slice(from);
+// Same arguments as the login (otpSource.js): maxAgeMinutes 0 accepts any age, so only the watch keeps old codes out.
+const poll = (watch) => fetchOtpFromEmail(SENDER, 3, 500, 0, watch.baselineId, null, { watch });
+
+async function step(name, fn) {
+  const from = mock.requests.length;
+  Object.assign(mock, { rejectFilter: false, rejectDelta: false, throttle: false });
+  await fn(() => requestsSince(from));
+  log('ok', name);
+}
+
+try {
+  await step('window: only a code that arrives after the watch starts is returned', async () => {
+    const old = addMessage('inbox', '111111', { agoMs: 10 * 1000 });
+    addMessage('inbox', '999999', { agoMs: 20 * 1000, from: 'someone@example.com' });
+    const watch = await startGraphOtpWatch(SENDER, null, { mode: 'window' });
+    assert.equal(watch.mode, 'window');
+    assert.equal(watch.baselineId, old.id);
+    addMessage('junkemail', '222222');
+    assert.equal(await poll(watch), '222222');
+  });
+
+  await step('delta: the first round pages through nextLink to the deltaLink; later polls use the deltaLink', async (requests) => {
+    addMessage('inbox', '333333', { agoMs: 5 * 1000 });
+    const watch = await startGraphOtpWatch(SENDER, null, { mode: 'delta' });
+    assert.equal(watch.mode, 'delta');
+    assert.ok(requests().some((r) => r.includes('$skiptoken=')), 'initial round should follow @odata.nextLink');
+    assert.ok(watch.deltaLinks.inbox && watch.deltaLinks.junkemail, 'both folders should end on a deltaLink');
+    assert.ok(watch.seenIds.size >= 3, 'every page of the initial round should count as already there');
+    addMessage('inbox', '444444');
+    assert.equal(await poll(watch), '444444');
+    assert.ok(requests().some((r) => r.includes('$deltatoken=')), 'polls should go through the deltaLink');
+  });
+
+  await step('fallback at start: a rejected window query turns the watch into a full scan', async () => {
+    mock.rejectFilter = true;
+    const watch = await startGraphOtpWatch(SENDER, null, { mode: 'window' });
+    assert.equal(watch.mode, 'scan');
+    assert.ok(watch.baselineId, 'scan watch should remember the newest matching message');
+    addMessage('inbox', '555555');
+    assert.equal(await poll(watch), '555555');
+  });
+
+  await step('fallback mid-poll: a delta query rejected after the watch started falls back to the full scan', async (requests) => {
+    // An earlier login's code, outside the window and not in this host's consumed list.
+    clearMailbox();
+    addMessage('inbox', '777777', { agoMs: 10 * 60 * 1000 });
+    const watch = await startGraphOtpWatch(SENDER, null, { mode: 'delta' });
+    assert.equal(watch.mode, 'delta');
+    assert.equal(watch.baselineId, null);
+    mock.rejectDelta = true;
+    assert.equal(await poll(watch), null, 'the scan fallback must not return mail from before the watch');
+    addMessage('inbox', '666666');
+    assert.equal(await poll(watch), '666666');
+    assert.ok(requests().some((r) => /mailFolders\/inbox\/messages\?/.test(r) && !r.includes('filter')), 'should have scanned the Inbox');
+  });
+
+  await step('throttled: a window query answered with 429 is retried, not replaced by a scan that finds an older code', async (requests) => {
+    clearMailbox();
+    addMessage('inbox', '888888', { agoMs: 10 * 60 * 1000 });
+    const watch = await startGraphOtpWatch(SENDER, null, { mode: 'window' });
+    assert.equal(watch.mode, 'window');
+    assert.equal(watch.baselineId, null);
+    mock.throttle = true;
+    assert.equal(await poll(watch), null, 'a throttled poll must not return mail from before the watch');
+    assert.equal(watch.mode, 'window');
+    assert.ok(!requests().some((r) => /mailFolders\/inbox\/messages\?/.test(r) && !r.includes('filter')), 'should not have fallen back to a scan');
+    mock.throttle = false;
+    addMessage('junkemail', '101010');
+    assert.equal(await poll(watch), '101010');
+  });
+
+  log('All Graph OTP checks passed');
+} catch (e) {
+  logger.error('Graph OTP check failed:', e?.message);
+  process.exitCode = 1;
+} finally {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,204 @@
+import assert from 'assert/strict';
+import { randomBytes } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Runs the IMAP OTP source (imapOtpFetcher.js) against a small IMAP stand-in on 127.0.0.1 (plain TCP):
+ * the afterMessageId baseline is skipped, a newer message is picked up while polling, the newest match
+ * is chosen by received time (not by uid), Junk is read when the Inbox has no match, used and too-old
+ * messages are refused. The stand-in speaks just enough IMAP4rev1 for ImapFlow; codes are in the subject.
+ * Exits non-zero on the first failed step.
+ */
+
+const logger = createLogger('CheckIMAP');
+const log = logger.info;
+
+const SENDER = 'NoReply@logisti.sa';
+const USER = 'otp';
+const PASSWORD = 'secret';
+const UID_VALIDITY = 42;
+
+// folder → { messages, uidNext }; a message is { uid, date, from, subject }.
+const folders = new Map();
+for (const name of ['INBOX', 'Junk', 'Archive']) folders.set(name, { messages: [], uidNext: 1 });
+
+function addMessage(folder, code, { agoMs = 0, from = SENDER } = {}) {
+  const box = folders.get(folder);
+  const msg = { uid: box.uidNext++, date: new Date(Date.now() - agoMs), from, subject: `Bayan verification code ${code}` };
+  box.messages.push(msg);
+  return `${folder}:${UID_VALIDITY}:${msg.uid}`;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const pad = (n) => String(n).padStart(2, '0');
+const internalDate = (d) =>
+  `${pad(d.getUTCDate())}-${MONTHS[d.getUTCMonth()]}-${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} +0000`;
+const quote = (s) => `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+
+function envelope(msg) {
+  const [mailbox, host] = msg.from.split('@');
+  const from = `((NIL NIL ${quote(mailbox)} ${quote(host)}))`;
+  const to = `((NIL NIL ${quote(USER)} "example.com"))`;
+  return `(${quote(msg.date.toUTCString())} ${quote(msg.subject)} ${from} ${from} ${from} ${to} NIL NIL NIL ${quote(`<${msg.uid}@check>`)})`;
+}
+
+// "1:*", "3", "2:5,7" → the messages whose sequence number (or uid) falls in the set.
+function selectMessages(messages, set, byUid) {
+  const max = byUid ? Math.max(0, ...messages.map((m) => m.uid)) : messages.length;
+  const ranges = set.split(',').map((part) => {
+    const [a, b = a] = part.split(':').map((x) => (x === '*' ? max : Number(x)));
+    return [Math.min(a, b), Math.max(a, b)];
+  });
+  return messages
+    .map((m, i) => ({ m, seq: i + 1 }))
+    .filter(({ m, seq }) => ranges.some(([lo, hi]) => (byUid ? m.uid : seq) >= lo && (byUid ? m.uid : seq) <= hi));
+}
+
+function handleSession(socket) {
+  let selected = null;
+  let buffer = '';
+  const send = (line) => socket.write(`${line}\r\n`);
+  send('* OK [CAPABILITY IMAP4rev1] check IMAP ready');
+
+  function run(tag, command, args) {
+    switch (command) {
+      case 'CAPABILITY':
+        send('* CAPABILITY IMAP4rev1');
+        return send(`${tag} OK CAPABILITY completed`);
+      case 'LOGIN': {
+        const [user, pass] = args.match(/"(?:[^"\\]|\\.)*"|\S+/g).map((s) => s.replace(/^"|"$/g, ''));
+        if (user !== USER || pass !== PASSWORD) return send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials`);
+        return send(`${tag} OK [CAPABILITY IMAP4rev1] LOGIN completed`);
+      }
+      case 'LIST':
+        if (/""\s*$/.test(args)) send('* LIST (\\Noselect) "/" ""');
+        else for (const name of folders.keys()) send(`* LIST () "/" ${quote(name)}`);
+        return send(`${tag} OK LIST completed`);
+      case 'SELECT':
+      case 'EXAMINE': {
+        const name = args.replace(/^"|"$/g, '');
+        const box = folders.get(name === 'inbox' ? 'INBOX' : name);
+        if (!box) {
+          selected = null;
+          return send(`${tag} NO [NONEXISTENT] Unknown mailbox`);
+        }
+        selected = box;
+        send('* FLAGS (\\Seen \\Deleted)');
+        send('* OK [PERMANENTFLAGS (\\Seen \\Deleted)] Flags permitted');
+        send(`* ${box.messages.length} EXISTS`);
+        send('* 0 RECENT');
+        send(`* OK [UIDVALIDITY ${UID_VALIDITY}] UIDs valid`);
+        send(`* OK [UIDNEXT ${box.uidNext}] Predicted next UID`);
+        return send(`${tag} OK [READ-WRITE] ${command} completed`);
+      }
+      case 'NOOP':
+        // Report the current count, like a server announcing new mail.
+        if (selected) send(`* ${selected.messages.length} EXISTS`);
+        return send(`${tag} OK NOOP completed`);
+      case 'FETCH':
+      case 'UID FETCH': {
+        if (!selected) return send(`${tag} BAD No mailbox selected`);
+        const [, set, items] = /^(\S+)\s+\(?(.*?)\)?$/.exec(args);
+        const wants = items.toUpperCase();
+        for (const { m, seq } of selectMessages(selected.messages, set, command === 'UID FETCH')) {
+          const parts = [`UID ${m.uid}`];
+          if (wants.includes('FLAGS')) parts.push('FLAGS ()');
+          if (wants.includes('INTERNALDATE')) parts.push(`INTERNALDATE ${quote(internalDate(m.date))}`);
+          if (wants.includes('ENVELOPE')) parts.push(`ENVELOPE ${envelope(m)}`);
+          send(`* ${seq} FETCH (${parts.join(' ')})`);
+        }
+        return send(`${tag} OK ${command} completed`);
+      }
+      case 'CLOSE':
+      case 'UNSELECT':
+        selected = null;
+        return send(`${tag} OK ${command} completed`);
+      case 'LOGOUT':
+        send('* BYE logging out');
+        send(`${tag} OK LOGOUT completed`);
+        return socket.end();
+      default:
+        return send(`${tag} BAD ${command} not supported by the check server`);
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const [, tag, rest = ''] = /^(\S+)\s*(.*)$/.exec(line) || [];
+      if (!tag) continue;
+      const uid = /^UID\s+/i.test(rest);
+      const [, word, args = ''] = /^(\S+)\s*(.*)$/.exec(uid ? rest.replace(/^UID\s+/i, '') : rest) || [];
+      run(tag, `${uid ? 'UID ' : ''}${(word || '').toUpperCase()}`, args);
+    }
+  });
+  socket.on('error', () => {});
+}
+
+const dir = await mkdtemp(join(tmpdir(), 'bayan-imap-check-'));
+const server = createServer(handleSession);
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+// Before imapOtpFetcher.js loads: the consumed-OTP list goes to a temp file, not the real one.
+process.env.OTP_CONSUMED_FILE = join(dir, 'consumed.json');
+// It is only written encrypted; a throwaway key serves this run's temp file.
+process.env.AUTH_CACHE_KEY = randomBytes(32).toString('hex');
+const { fetchOtpFromImap, getLatestImapMessageMeta } = await import('./imapOtpFetcher.js');
+
+const imap = { host: '127.0.0.1', port: server.address().port, secure: false, user: USER, password: PASSWORD, inbox: 'INBOX', junk: 'Junk' };
+const fetchOtp = (afterMessageId, config = imap, { retries = 2, maxAgeMinutes = 10 } = {}) =>
+  fetchOtpFromImap(SENDER, retries, 500, maxAgeMinutes, afterMessageId, config);
+
+async function step(name, fn) {
+  await fn();
+  log('ok', name);
+}
+
+try {
+  let baselineId;
+  await step('baseline: the message that was newest before the code was requested is not used', async () => {
+    addMessage('INBOX', '111111', { agoMs: 30 * 1000 });
+    addMessage('INBOX', '999999', { agoMs: 10 * 1000, from: 'someone@example.com' });
+    baselineId = (await getLatestImapMessageMeta(SENDER, imap))?.id;
+    assert.equal(baselineId, `INBOX:${UID_VALIDITY}:1`);
+    assert.equal(await fetchOtp(baselineId), null);
+  });
+
+  let newerId;
+  await step('newer message: a code arriving while polling is picked up', async () => {
+    const arriving = new Promise((resolve) => setTimeout(() => resolve(addMessage('INBOX', '222222')), 300));
+    assert.equal(await fetchOtp(baselineId, imap, { retries: 4 }), '222222');
+    newerId = await arriving;
+  });
+
+  await step('newest by received time: a later uid with an older date does not win, and a used code is refused', async () => {
+    addMessage('INBOX', '333333', { agoMs: 60 * 1000 });
+    assert.equal((await getLatestImapMessageMeta(SENDER, imap))?.id, newerId);
+    assert.equal(await fetchOtp(baselineId), null);
+  });
+
+  await step('junk: the Junk folder is read when the Inbox has no match (a missing Inbox counts as empty)', async () => {
+    addMessage('Junk', '444444');
+    assert.equal(await fetchOtp(null, { ...imap, inbox: 'Missing' }), '444444');
+  });
+
+  await step('max age: a message older than maxAgeMinutes is refused', async () => {
+    addMessage('Archive', '555555', { agoMs: 5 * 60 * 1000 });
+    assert.equal(await fetchOtp(null, { ...imap, inbox: 'Archive' }, { maxAgeMinutes: 1 }), null);
+  });
+
+  log('All IMAP OTP checks passed');
+} catch (e) {
+  logger.error('IMAP OTP check failed:', e?.message);
+  process.exitCode = 1;
+} finally {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,76 @@
+import { readCacheFile, writeCacheFile } from './cacheFile.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('OTPConsumed');
+
+/**
+ * Ids of OTP emails whose code was handed to a login, kept in OTP_CONSUMED_FILE so the mailbox fetchers
+ * never accept the same message twice, even after a restart. Keys look like "graph:<mailbox>:<message id>".
+ * The file is per host and sealed like the auth cache (cacheFile.js); without a key it stays in memory.
+ * After a successful login the fetchers also tidy the mailbox (OTP_CONSUMED_ACTION):
+ *   read (default)  mark the email read
+ *   move            mark it read and move it to OTP_CONSUMED_FOLDER (created when missing)
+ *   delete          mark it read and delete it (Graph: to Deleted Items)
+ *   none            leave it alone
+ */
+
+const ACTIONS = ['read', 'move', 'delete', 'none'];
+export const OTP_CONSUMED_ACTION = ACTIONS.includes((process.env.OTP_CONSUMED_ACTION || '').trim().toLowerCase())
+  ? process.env.OTP_CONSUMED_ACTION.trim().toLowerCase()
+  : 'read';
+export const OTP_CONSUMED_FOLDER = (process.env.OTP_CONSUMED_FOLDER || '').trim() || 'Bayan OTP';
+
+const CONSUMED_FILE =
+  (process.env.OTP_CONSUMED_FILE && String(process.env.OTP_CONSUMED_FILE).trim()) || '/tmp/bayan-auth-consumed-otps.json';
+const AAD = 'otp-consumed';
+const MAX_ENTRIES = 1000;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+let consumed = null;
+let loading = null;
+// Writes are chained so two logins finishing together can't interleave the temp-file rename.
+let writing = Promise.resolve();
+
+function load() {
+  if (consumed) return Promise.resolve(consumed);
+  loading ??= (async () => {
+    try {
+      const saved = await readCacheFile(CONSUMED_FILE, AAD);
+      consumed = new Map(Object.entries(saved?.consumed ?? {}).filter(([, atMs]) => Number.isFinite(atMs)));
+    } catch (e) {
+      logger.error('Could not read consumed OTP file; starting empty:', e?.message, e?.code || '');
+      consumed = new Map();
+    }
+    return consumed;
+  })();
+  return loading;
+}
+
+function prune(map) {
+  const cutoff = Date.now() - MAX_AGE_MS;
+  for (const [key, atMs] of map) {
+    if (atMs < cutoff) map.delete(key);
+  }
+  // Map keeps insertion order, so the oldest entries go first.
+  for (const key of map.keys()) {
+    if (map.size <= MAX_ENTRIES) break;
+    map.delete(key);
+  }
+}
+
+export async function isOtpMessageConsumed(key) {
+  return (await load()).has(key);
+}
+
+/** Record key as consumed and persist. A failed write is logged; the id still counts for this process. */
+export async function markOtpMessageConsumed(key) {
+  const map = await load();
+  map.delete(key);
+  map.set(key, Date.now());
+  prune(map);
+  const snapshot = { consumed: Object.fromEntries(map) };
+  writing = writing
+    .then(() => writeCacheFile(CONSUMED_FILE, snapshot, AAD))
+    .catch((e) => logger.error('Could not write consumed OTP file:', e?.message));
+  await writing;
+}
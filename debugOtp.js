@@ -3,8 +3,10 @@ import { ClientSecretCredential } from '@azure/identity';
 import { Client } from '@microsoft/microsoft-graph-client';
 import { TokenCredentialAuthenticationProvider } from '@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials/index.js';
 import { extractOtp } from './otpUtils.js';
+import { createLogger, maskOtpDigits } from './logger.js';
 
-const log = (...args) => console.log('[DebugOTP]', ...args);
+const logger = createLogger('DebugOTP');
+const log = logger.info;
 
 log('Starting debugOtp script');
 const tenantId = process.env.AZURE_TENANT_ID;
@@ -14,7 +16,7 @@ const userEmail = process.env.USER_EMAIL;
 const fromAddress = process.env.BAYAN_OTP_SENDER || 'NoReply@logisti.sa';
 
 if (!tenantId || !clientId || !clientSecret || !userEmail) {
-  console.error('[DebugOTP] Missing env: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, USER_EMAIL');
+  logger.error('Missing env: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, USER_EMAIL');
   throw new Error('Missing env: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, USER_EMAIL');
 }
 log('Env OK', { userEmail, fromAddress });
@@ -53,7 +55,8 @@ for (const m of msgs) {
   const subject = m.subject || '';
   const preview = (m.bodyPreview || '').slice(0, 140).replace(/\s+/g, ' ');
   const otp = extractOtp(subject) || extractOtp(preview);
-  log(`- ${received} | from=${addr} | otp=${otp || '-'} | subject=${JSON.stringify(subject)}`);
+  // Codes are never printed, only whether one was found.
+  log(`- ${received} | from=${addr} | otp=${otp ? `found (length=${otp.length})` : '-'} | subject=${JSON.stringify(maskOtpDigits(subject))}`);
 }
 
 log('---- Latest 25 messages filtered locally by sender ----');
@@ -73,7 +76,7 @@ for (const m of filtered.slice(0, 10)) {
   const addr = fromAddr(m);
   const subject = m.subject || '';
   const preview = (m.bodyPreview || '').slice(0, 200).replace(/\s+/g, ' ');
-  log(`- ${received} | from=${addr} | subject=${JSON.stringify(subject)} | preview=${JSON.stringify(preview)}`);
+  log(`- ${received} | from=${addr} | subject=${JSON.stringify(maskOtpDigits(subject))} | preview=${JSON.stringify(maskOtpDigits(preview))}`);
 }
 log('debugOtp script finished');
 
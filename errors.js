@@ -0,0 +1,58 @@
+/**
+ * Error codes returned by /auth and /bayan/*, with the HTTP status and whether retrying can help.
+ * Errors carry their code on err.code (see codedError).
+ */
+export const ERRORS = {
+  // Configuration: fix the deployment, then retry.
+  MISSING_CONFIG: { status: 500, retryable: false },
+  UNKNOWN_OTP_PROVIDER: { status: 500, retryable: false },
+  UNKNOWN_ACCOUNT: { status: 400, retryable: false },
+  UNKNOWN_PORTAL: { status: 400, retryable: false },
+  // Browser
+  BROWSER_NOT_FOUND: { status: 500, retryable: false },
+  BROWSER_LAUNCH_FAILED: { status: 503, retryable: true },
+  // Login steps, in flow order
+  LANDING_FAILED: { status: 502, retryable: true },
+  PORTAL_NOT_FOUND: { status: 502, retryable: false },
+  BAYAN_SERVER_OOPS: { status: 502, retryable: true },
+  LOGIN_FORM_TIMEOUT: { status: 504, retryable: true },
+  INVALID_CREDENTIALS: { status: 401, retryable: false },
+  ACCOUNT_LOCKED: { status: 423, retryable: false },
+  OTP_NOT_RECEIVED: { status: 504, retryable: true },
+  OTP_REJECTED: { status: 502, retryable: true },
+  OTP_EXPIRED: { status: 502, retryable: false },
+  POST_LOGIN_TIMEOUT: { status: 504, retryable: true },
+  // A login attempt failed in a way none of the above describes.
+  LOGIN_FAILED: { status: 502, retryable: true },
+  // Logins paused after credential failures (see loginCircuit.js); err.retryAfterMs says for how long.
+  LOGIN_CIRCUIT_OPEN: { status: 503, retryable: false },
+  // Another instance held the login lock past AUTH_LOCK_WAIT_MS without publishing a session.
+  LOGIN_LOCK_TIMEOUT: { status: 504, retryable: true },
+  // Request level
+  AUTH_TIMEOUT: { status: 504, retryable: true },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true },
+  UPSTREAM_FAILED: { status: 502, retryable: true },
+};
+
+export function isKnownErrorCode(code) {
+  return typeof code === 'string' && Object.hasOwn(ERRORS, code);
+}
+
+export function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** { code, status, retryable } for any error; unknown codes are a non-retryable 500. */
+export function errorInfo(err) {
+  const code = typeof err?.code === 'string' ? err.code : null;
+  const known = isKnownErrorCode(code) ? ERRORS[code] : { status: 500, retryable: false };
+  return { code, ...known };
+}
+
+/** JSON error body shared by every endpoint: { success, error, code, retryable }. */
+export function errorBody(err, message = err?.message) {
+  const { code, retryable } = errorInfo(err);
+  return { success: false, error: message ?? 'Unknown error', code, retryable };
+}
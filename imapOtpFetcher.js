@@ -0,0 +1,275 @@
+import 'dotenv/config';
+import { ImapFlow } from 'imapflow';
+import { extractOtp, matchSender } from './otpUtils.js';
+import { recordOtpPoll } from './metrics.js';
+import { createLogger, maskOtpDigits } from './logger.js';
+import { isOtpMessageConsumed, markOtpMessageConsumed, OTP_CONSUMED_ACTION, OTP_CONSUMED_FOLDER } from './consumedOtps.js';
+
+const DEBUG = process.env.DEBUG_OTP === 'true';
+const logger = createLogger('IMAP', { level: DEBUG ? 'debug' : undefined });
+const log = logger.info;
+// DEBUG_OTP: mailbox details at debug level (email text masked with maskOtpDigits).
+const dlog = logger.debug;
+
+// How many of the newest messages per folder are checked for the sender (like Graph's top=100).
+const SCAN_LIMIT = 100;
+
+/**
+ * IMAP settings: per-account overrides (account.imap) on top of IMAP_* env vars.
+ * Host/port/TLS are all configurable so a local IMAP stand-in can be used.
+ */
+export function resolveImapConfig(overrides = {}) {
+  const o = overrides && typeof overrides === 'object' ? overrides : {};
+  const pick = (v, envName) => (v != null && v !== '' ? v : process.env[envName]);
+  const secure = pick(o.secure, 'IMAP_SECURE');
+  return {
+    host: String(pick(o.host, 'IMAP_HOST') || '').trim(),
+    port: Number(pick(o.port, 'IMAP_PORT')) || 993,
+    secure: secure === undefined ? true : secure !== false && String(secure) !== 'false',
+    user: String(pick(o.user, 'IMAP_USER') || '').trim(),
+    password: String(pick(o.password, 'IMAP_PASSWORD') || ''),
+    inbox: String(pick(o.inbox, 'IMAP_INBOX') || 'INBOX'),
+    junk: String(pick(o.junk, 'IMAP_JUNK_FOLDER') || 'Junk'),
+    rejectUnauthorized: String(pick(o.rejectUnauthorized, 'IMAP_TLS_REJECT_UNAUTHORIZED') ?? 'true') !== 'false',
+  };
+}
+
+async function connect(config) {
+  if (!config.host || !config.user || !config.password) {
+    logger.error('Missing config: IMAP_HOST, IMAP_USER, IMAP_PASSWORD');
+    throw new Error('Missing: IMAP_HOST, IMAP_USER, IMAP_PASSWORD');
+  }
+  const client = new ImapFlow({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: { user: config.user, pass: config.password },
+    tls: { rejectUnauthorized: config.rejectUnauthorized },
+    logger: false,
+  });
+  await client.connect();
+  log('IMAP connected', { host: config.host, port: config.port, user: config.user });
+  return client;
+}
+
+function fromAddress(msg) {
+  return (msg?.envelope?.from?.[0]?.address || msg?.envelope?.sender?.[0]?.address || '').trim();
+}
+
+/** Newest message in one folder from the wanted sender, or null (folder missing counts as empty). */
+async function latestMatchIn(client, folder, wanted) {
+  let lock;
+  try {
+    lock = await client.getMailboxLock(folder);
+  } catch (e) {
+    dlog(`Folder ${folder} not available:`, e?.message);
+    return null;
+  }
+  try {
+    await client.noop();
+    const total = client.mailbox?.exists || 0;
+    if (!total) return null;
+    const first = Math.max(1, total - SCAN_LIMIT + 1);
+    let best = null;
+    let checked = 0;
+    for await (const msg of client.fetch(`${first}:*`, { uid: true, envelope: true, internalDate: true })) {
+      checked++;
+      if (!matchSender(fromAddress(msg), wanted)) continue;
+      const t = new Date(msg.internalDate).getTime();
+      const bt = best ? new Date(best.internalDate).getTime() : -1;
+      if (!best || t > bt || (t === bt && msg.uid > best.uid)) best = msg;
+    }
+    dlog(`${folder} checked=${checked} matched=${best ? 1 : 0}`);
+    if (!best) return null;
+    return {
+      id: `${folder}:${client.mailbox.uidValidity}:${best.uid}`,
+      folder,
+      uid: best.uid,
+      from: fromAddress(best),
+      receivedDateTime: new Date(best.internalDate).toISOString(),
+      subject: (best.envelope?.subject || '').slice(0, 500),
+    };
+  } finally {
+    lock.release();
+  }
+}
+
+/** Prefer Inbox, then Junk (same order as the Graph fetcher). */
+async function getLatestMessageFrom(client, config, wanted) {
+  const inbox = await latestMatchIn(client, config.inbox, wanted);
+  if (inbox) return inbox;
+  return await latestMatchIn(client, config.junk, wanted);
+}
+
+function findTextPart(node, type) {
+  if (!node) return null;
+  if (node.type === type && node.disposition !== 'attachment') return node.part || '1';
+  for (const child of node.childNodes || []) {
+    const found = findTextPart(child, type);
+    if (found) return found;
+  }
+  return null;
+}
+
+async function streamToString(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function getMessageBody(client, meta) {
+  const lock = await client.getMailboxLock(meta.folder);
+  try {
+    const msg = await client.fetchOne(String(meta.uid), { bodyStructure: true }, { uid: true });
+    const part = findTextPart(msg?.bodyStructure, 'text/plain') || findTextPart(msg?.bodyStructure, 'text/html');
+    if (!part) return '';
+    const { content } = await client.download(String(meta.uid), part, { uid: true });
+    const text = await streamToString(content);
+    return text.replace(/<[^>]+>/g, ' ');
+  } catch (e) {
+    log('getMessageBody failed', meta.id, e?.message);
+    return '';
+  } finally {
+    lock.release();
+  }
+}
+
+export async function getLatestImapMessageMeta(fromAddress = 'NoReply@logisti.sa', imapConfig = {}) {
+  const from = typeof fromAddress === 'string' ? fromAddress.trim() : 'NoReply@logisti.sa';
+  log('getLatestImapMessageMeta', { fromAddress: from });
+  const config = resolveImapConfig(imapConfig);
+  let client;
+  try {
+    client = await connect(config);
+    const meta = await getLatestMessageFrom(client, config, from);
+    if (!meta) {
+      log('getLatestImapMessageMeta: no message found');
+      return null;
+    }
+    log('getLatestImapMessageMeta: found', { id: meta.id, subject: meta.subject?.slice(0, 50) });
+    return meta;
+  } catch (e) {
+    logger.error('getLatestImapMessageMeta failed:', e?.message);
+    return null;
+  } finally {
+    await client?.logout().catch(() => {});
+  }
+}
+
+const consumedKey = (config, messageId) => `imap:${config.user.toLowerCase()}@${config.host.toLowerCase()}:${messageId}`;
+
+/**
+ * After a successful login: flag the OTP messages it used \Seen, then move or delete them (OTP_CONSUMED_ACTION).
+ * messages: metas as passed to fetchOtpFromImap's onConsumed. Failures are logged, not thrown.
+ */
+export async function cleanUpImapOtpMessages(messages = [], imapConfig = {}) {
+  if (OTP_CONSUMED_ACTION === 'none' || !messages.length) return;
+  const config = resolveImapConfig(imapConfig);
+  let client;
+  try {
+    client = await connect(config);
+    if (OTP_CONSUMED_ACTION === 'move') {
+      const created = await client.mailboxCreate(OTP_CONSUMED_FOLDER).catch(() => null);
+      if (created?.created) log('Created folder for used OTP emails', { folder: OTP_CONSUMED_FOLDER });
+    }
+    for (const meta of messages) {
+      let lock;
+      try {
+        lock = await client.getMailboxLock(meta.folder);
+        // A UIDVALIDITY change means the uid may now point at another message.
+        if (!meta.id.startsWith(`${meta.folder}:${client.mailbox.uidValidity}:`)) throw new Error('folder UIDVALIDITY changed');
+        await client.messageFlagsAdd(String(meta.uid), ['\\Seen'], { uid: true });
+        if (OTP_CONSUMED_ACTION === 'move') await client.messageMove(String(meta.uid), OTP_CONSUMED_FOLDER, { uid: true });
+        else if (OTP_CONSUMED_ACTION === 'delete') await client.messageDelete(String(meta.uid), { uid: true });
+        log('Used OTP email cleaned up', { id: meta.id, action: OTP_CONSUMED_ACTION });
+      } catch (e) {
+        log('Used OTP email clean-up failed', { id: meta.id, action: OTP_CONSUMED_ACTION }, e?.message);
+      } finally {
+        lock?.release();
+      }
+    }
+  } catch (e) {
+    logger.error('cleanUpImapOtpMessages failed:', e?.message);
+  } finally {
+    await client?.logout().catch(() => {});
+  }
+}
+
+/**
+ * Fetch OTP from the newest matching IMAP message. Same contract as fetchOtpFromEmail:
+ * skips the afterMessageId baseline and messages already used (OTP_CONSUMED_FILE), enforces maxAgeMinutes
+ * (<= 0 accepts any age), returns null when exhausted. options.onConsumed(meta) gets the message a returned code came from.
+ */
+export async function fetchOtpFromImap(
+  fromAddress = 'NoReply@logisti.sa',
+  retries = 5,
+  delayMs = 2000,
+  maxAgeMinutes = 2,
+  afterMessageId = null,
+  imapConfig = {},
+  { onConsumed = null } = {}
+) {
+  const from = typeof fromAddress === 'string' ? fromAddress.trim() : 'NoReply@logisti.sa';
+  const maxRetries = Math.min(Math.max(1, Number(retries) || 5), 50);
+  const delay = Math.min(Math.max(500, Number(delayMs) || 2000), 60000);
+  const maxAgeMin = Number(maxAgeMinutes);
+  const maxAge = (Number.isFinite(maxAgeMin) && maxAgeMin > 0 ? maxAgeMin : 2) * 60 * 1000;
+  log('fetchOtpFromImap started', { fromAddress: from, retries: maxRetries, delayMs: delay, maxAgeMinutes: maxAgeMin, afterMessageId: afterMessageId ?? 'none' });
+
+  const config = resolveImapConfig(imapConfig);
+  let client;
+  try {
+    client = await connect(config);
+  } catch (e) {
+    logger.error('fetchOtpFromImap connect failed:', e?.message);
+    return null;
+  }
+
+  try {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const startTime = Date.now();
+        log('fetchOtpFromImap attempt', `${attempt}/${maxRetries}`);
+        recordOtpPoll('imap');
+        const meta = await getLatestMessageFrom(client, config, from);
+
+        if (meta && afterMessageId && meta.id === afterMessageId) {
+          dlog('Latest message is still the baseline id; waiting for a newer email…', { afterMessageId });
+        } else if (meta && (await isOtpMessageConsumed(consumedKey(config, meta.id)))) {
+          dlog('Latest message was already used for a login; waiting for a newer email…', { id: meta.id });
+        } else if (meta) {
+          const age = startTime - new Date(meta.receivedDateTime).getTime();
+          dlog('Latest matched message:', { id: meta.id, from: meta.from, ageSeconds: Math.round(age / 1000), subject: maskOtpDigits(meta.subject) });
+          if (!Number.isFinite(maxAgeMin) || maxAgeMin <= 0 || age <= maxAge) {
+            let otp = extractOtp(meta.subject);
+            if (!otp) {
+              const body = await getMessageBody(client, meta);
+              if (DEBUG) dlog('Body snippet (first 400 chars):', maskOtpDigits(body.slice(0, 400).replace(/\s+/g, ' ')));
+              otp = extractOtp(body);
+            }
+            if (otp) {
+              log('fetchOtpFromImap success', { attempt, otpLength: otp.length });
+              await markOtpMessageConsumed(consumedKey(config, meta.id));
+              onConsumed?.(meta);
+              return otp;
+            }
+          } else {
+            log('fetchOtpFromImap message too old', { maxAgeMinutes: maxAgeMin });
+          }
+        } else {
+          log('fetchOtpFromImap no message from sender');
+        }
+      } catch (error) {
+        logger.error('fetchOtpFromImap attempt failed:', error?.message || error);
+      }
+      if (attempt < maxRetries) {
+        log('fetchOtpFromImap retry in', delay, 'ms');
+        await new Promise((r) => setTimeout(r, delay));
+      }
+    }
+    log('fetchOtpFromImap exhausted retries, returning null');
+    return null;
+  } finally {
+    await client.logout().catch(() => {});
+  }
+}
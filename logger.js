@@ -0,0 +1,134 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+/**
+ * One logger for every module: createLogger('Auth').info('Using cached auth', { account }).
+ * Arguments are the same as console.log: strings/numbers form the message, objects become data, Errors become err.
+ *   LOG_FORMAT=json (default): one JSON object per line { time, level, component, requestId, msg, data?, err? }
+ *   LOG_FORMAT=text: "[Component] (requestId) message {…}" as before
+ *   LOG_LEVEL=debug|info|warn|error (default info)
+ * Cookies, tokens, passwords, secrets and OTPs are redacted by key name, and JWTs / "Bearer …" / "otp=…" inside strings.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').trim().toLowerCase()] ?? LEVELS.info;
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'json').trim().toLowerCase() === 'text' ? 'text' : 'json';
+
+const REDACTED = '[REDACTED]';
+// Compared after lower-casing and dropping "-" / "_"; anything ending in token, secret or password also matches.
+const SECRET_KEYS = new Set([
+  'cookie',
+  'cookies',
+  'cookieheader',
+  'setcookie',
+  'authorization',
+  'bearer',
+  'password',
+  'identitynumber',
+  'otp',
+  'otpcode',
+]);
+const SECRET_KEY_SUFFIXES = ['token', 'secret', 'password'];
+const MAX_DEPTH = 6;
+
+function isSecretKey(key) {
+  const k = String(key).toLowerCase().replace(/[-_]/g, '');
+  return SECRET_KEYS.has(k) || SECRET_KEY_SUFFIXES.some((s) => k.endsWith(s));
+}
+
+/** Mask secrets that show up inside free text. */
+export function redactString(text) {
+  return String(text)
+    .replace(/eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, '[REDACTED_JWT]')
+    .replace(/\b(Bearer)\s+[^\s,;"']+/gi, `$1 ${REDACTED}`)
+    .replace(/\b(otp|password|token|access_token|secret)(["']?\s*[=:]\s*["']?)[^\s,;&"']+/gi, `$1$2${REDACTED}`);
+}
+
+/** Mask 4–8 digit numbers (OTP candidates) in email subjects, previews and bodies before they are logged. */
+export function maskOtpDigits(text) {
+  return String(text ?? '').replace(/\b\d{4,8}\b/g, '[OTP?]');
+}
+
+/** Copy of value with secret-looking keys and strings masked. Booleans and null stay (e.g. hasBearer: true). */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (value instanceof Error) return errorFields(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = isSecretKey(k) && v !== null && v !== undefined && typeof v !== 'boolean' ? REDACTED : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function errorFields(err) {
+  return {
+    message: redactString(err.message ?? ''),
+    code: err.code ?? undefined,
+    stack: err.stack ? redactString(err.stack) : undefined,
+  };
+}
+
+const context = new AsyncLocalStorage();
+
+/** Run fn with requestId attached to every log line written inside it (across awaits and timers it starts). */
+export function runWithRequestId(requestId, fn) {
+  return context.run({ requestId }, fn);
+}
+
+/** Id for work no request started (scheduled refresh, periodic probe), e.g. "refresh-1a2b3c4d". */
+export function backgroundRequestId(kind) {
+  return `${kind}-${randomUUID().slice(0, 8)}`;
+}
+
+export function getRequestId() {
+  return context.getStore()?.requestId ?? null;
+}
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:@-]{1,128}$/;
+
+/** Express middleware: X-Request-Id from the caller (when sane) or a new one, echoed on the response. */
+export function requestIdMiddleware(req, res, next) {
+  const given = req.get('X-Request-Id');
+  const requestId = given && REQUEST_ID_RE.test(given) ? given : randomUUID();
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  runWithRequestId(requestId, next);
+}
+
+function write(level, component, args) {
+  const requestId = getRequestId();
+  const words = [];
+  const data = [];
+  let err;
+  for (const arg of args) {
+    if (arg instanceof Error) err = errorFields(arg);
+    else if (arg !== null && typeof arg === 'object') data.push(redact(arg));
+    else if (arg !== undefined && arg !== '') words.push(redactString(arg));
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+  if (LOG_FORMAT === 'text') {
+    const prefix = requestId ? `[${component}] (${requestId})` : `[${component}]`;
+    stream(prefix, ...words, ...data, ...(err ? [err.message] : []));
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, component, requestId, msg: words.join(' ') };
+  if (data.length) entry.data = data.length === 1 ? data[0] : data;
+  if (err) entry.err = err;
+  try {
+    stream(JSON.stringify(entry));
+  } catch (_) {
+    stream(JSON.stringify({ ...entry, data: '[Unserializable]' }));
+  }
+}
+
+/**
+ * Logger for one component. options.level overrides LOG_LEVEL for this logger (e.g. DEBUG_OTP turns on debug).
+ */
+export function createLogger(component, { level } = {}) {
+  const min = LEVELS[level] ?? LOG_LEVEL;
+  const at = (name) => (LEVELS[name] >= min ? (...args) => write(name, component, args) : () => {});
+  return { debug: at('debug'), info: at('info'), warn: at('warn'), error: at('error') };
+}
@@ -0,0 +1,83 @@
+import { EventEmitter } from 'events';
+import { codedError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Circuit');
+const log = logger.info;
+
+// Credential failures in a row (per account) before logins are paused; ACCOUNT_LOCKED pauses at once.
+const FAILURE_THRESHOLD = Number(process.env.LOGIN_BREAKER_THRESHOLD || 0) || 2;
+const COOLDOWN_MS = Number(process.env.LOGIN_BREAKER_COOLDOWN_MS || 0) || 30 * 60 * 1000;
+const CREDENTIAL_CODES = new Set(['INVALID_CREDENTIALS', 'ACCOUNT_LOCKED']);
+
+/** 'open': { account, code, failures, openUntilMs } when logins for an account are paused. */
+export const loginCircuitEvents = new EventEmitter();
+
+// Keyed by account name: credentials (and Bayan's lockout) are per identity, not per portal.
+const circuits = new Map();
+
+function getCircuit(account) {
+  let circuit = circuits.get(account);
+  if (!circuit) {
+    circuit = { failures: 0, openUntilMs: 0, lastCode: null, lastFailureAtMs: null };
+    circuits.set(account, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * Throw LOGIN_CIRCUIT_OPEN while the account is cooling down after credential failures,
+ * so a wrong password doesn't turn into a Bayan lockout. The error carries retryAfterMs.
+ */
+export function assertLoginAllowed(account) {
+  const circuit = circuits.get(account);
+  const remainingMs = circuit ? circuit.openUntilMs - Date.now() : 0;
+  if (remainingMs <= 0) return;
+  const err = codedError(
+    'LOGIN_CIRCUIT_OPEN',
+    `Logins for account "${account}" are paused for ${Math.ceil(remainingMs / 1000)}s after ${circuit.lastCode} (fix the credentials, then wait or restart)`
+  );
+  err.retryAfterMs = remainingMs;
+  throw err;
+}
+
+export function recordLoginSuccess(account) {
+  const circuit = circuits.get(account);
+  if (!circuit || (circuit.failures === 0 && !circuit.openUntilMs)) return;
+  log('Closed', { account });
+  circuits.delete(account);
+}
+
+/** Count credential failures; other errors (timeouts, OTP problems) leave the circuit alone. */
+export function recordLoginFailure(account, err) {
+  if (!CREDENTIAL_CODES.has(err?.code)) return;
+  const circuit = getCircuit(account);
+  circuit.failures += 1;
+  circuit.lastCode = err.code;
+  circuit.lastFailureAtMs = Date.now();
+  if (err.code === 'ACCOUNT_LOCKED' || circuit.failures >= FAILURE_THRESHOLD) {
+    circuit.openUntilMs = Date.now() + COOLDOWN_MS;
+    logger.error('Open: pausing logins', { account, failures: circuit.failures, code: err.code, cooldownMs: COOLDOWN_MS });
+    loginCircuitEvents.emit('open', { account, code: err.code, failures: circuit.failures, openUntilMs: circuit.openUntilMs });
+  } else {
+    log('Credential failure', { account, failures: circuit.failures, threshold: FAILURE_THRESHOLD });
+  }
+}
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+export function getLoginCircuitStatus() {
+  const now = Date.now();
+  return {
+    threshold: FAILURE_THRESHOLD,
+    cooldownMs: COOLDOWN_MS,
+    accounts: Array.from(circuits.entries()).map(([account, c]) => ({
+      account,
+      state: c.openUntilMs > now ? 'open' : 'closed',
+      credentialFailures: c.failures,
+      lastCode: c.lastCode,
+      lastFailureAt: iso(c.lastFailureAtMs),
+      openUntil: c.openUntilMs > now ? iso(c.openUntilMs) : null,
+    })),
+  };
+}
@@ -0,0 +1,400 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { codedError, isKnownErrorCode } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Auth');
+
+const DEFAULT_LOGIN_FLOW_FILE = fileURLToPath(new URL('./loginFlow.json', import.meta.url));
+
+const STEP_TYPES = new Set([
+  'navigate',
+  'waitFor',
+  'click',
+  'type',
+  'select',
+  'delay',
+  'otpBaseline',
+  'fillOtp',
+  'assertPostLogin',
+]);
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function getLoginFlowFile() {
+  return (process.env.LOGIN_FLOW_FILE && String(process.env.LOGIN_FLOW_FILE).trim()) || DEFAULT_LOGIN_FLOW_FILE;
+}
+
+/**
+ * Read and validate the login flow definition (LOGIN_FLOW_FILE or the bundled loginFlow.json).
+ * Read on every login so a selector fix applies without a restart.
+ */
+export async function loadLoginFlow() {
+  const file = getLoginFlowFile();
+  let flow;
+  try {
+    flow = JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    throw codedError('MISSING_CONFIG', `Failed to read login flow ${file}: ${e?.message}`);
+  }
+  const steps = Array.isArray(flow) ? flow : flow?.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw codedError('MISSING_CONFIG', `Login flow ${file} has no steps`);
+  }
+  steps.forEach((step, i) => {
+    if (!step || !STEP_TYPES.has(step.type)) {
+      throw codedError('MISSING_CONFIG', `Login flow ${file}: step ${i + 1} has unknown type "${step?.type}"`);
+    }
+  });
+  return { name: flow?.name || file, file, steps, loginErrors: parseLoginErrors(flow?.loginErrors, file) };
+}
+
+/**
+ * flow.loginErrors: { selector, messages: [{ code, pattern }] }. Visible text under selector that matches
+ * a pattern (case-insensitive regex, first match wins) fails the step with that code.
+ */
+function parseLoginErrors(loginErrors, file) {
+  if (!loginErrors) return null;
+  const messages = (Array.isArray(loginErrors.messages) ? loginErrors.messages : []).map((m, i) => {
+    if (!isKnownErrorCode(m?.code)) {
+      throw codedError('MISSING_CONFIG', `Login flow ${file}: loginErrors.messages[${i}] has unknown code "${m?.code}"`);
+    }
+    try {
+      return { code: m.code, regex: new RegExp(m.pattern, 'i') };
+    } catch (e) {
+      throw codedError('MISSING_CONFIG', `Login flow ${file}: loginErrors.messages[${i}] has a bad pattern: ${e?.message}`);
+    }
+  });
+  if (!loginErrors.selector || messages.length === 0) return null;
+  return { selector: String(loginErrors.selector), messages };
+}
+
+/**
+ * Replace "{{var}}" placeholders. A value that is exactly one placeholder keeps the variable's type.
+ */
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) return vars[whole[1]];
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] == null ? '' : String(vars[k])));
+  }
+  if (Array.isArray(value)) return value.map((v) => interpolate(v, vars));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = interpolate(v, vars);
+    return out;
+  }
+  return value;
+}
+
+function toList(v) {
+  if (Array.isArray(v)) return v;
+  return v == null ? [] : [v];
+}
+
+function describe(step) {
+  const target = toList(step.selector).join(', ');
+  return target ? `${step.type} ${target}` : step.type;
+}
+
+/**
+ * First visible login error message on the page, as { code, text }, or null.
+ * codes: true for every message, or a list limiting which codes the caller looks for.
+ * Messages already shown before an OTP re-submit (markLoginErrorsSeen) are skipped.
+ */
+async function findLoginError(page, loginErrors, codes) {
+  if (!loginErrors || !codes) return null;
+  const wanted = loginErrors.messages.filter((m) => codes === true || toList(codes).includes(m.code));
+  if (wanted.length === 0) return null;
+  const texts = await page
+    .$$eval(loginErrors.selector, (els) =>
+      els
+        .filter((el) => el.getClientRects().length > 0)
+        .map((el) => ({ text: (el.innerText || el.textContent || '').trim(), seen: el.dataset.authSeen }))
+        .filter((m) => m.text && m.text !== m.seen)
+        .map((m) => m.text)
+    )
+    .catch(() => []);
+  for (const text of texts) {
+    const match = wanted.find((m) => m.regex.test(text));
+    if (match) return { code: match.code, text: text.slice(0, 500) };
+  }
+  return null;
+}
+
+function loginErrorToThrow(found) {
+  const err = codedError(found.code, `Bayan rejected the login: ${found.text.slice(0, 200)}`);
+  err.bayanMessage = found.text;
+  return err;
+}
+
+async function throwIfLoginError(page, loginErrors, codes) {
+  const found = await findLoginError(page, loginErrors, codes);
+  if (found) throw loginErrorToThrow(found);
+}
+
+/** Tag the error messages currently shown so a stale one isn't taken as the verdict on the next code. */
+async function markLoginErrorsSeen(page, loginErrors) {
+  if (!loginErrors) return;
+  await page
+    .$$eval(loginErrors.selector, (els) =>
+      els.forEach((el) => {
+        el.dataset.authSeen = (el.innerText || el.textContent || '').trim();
+      })
+    )
+    .catch(() => {});
+}
+
+async function waitForStep(page, step, ctx) {
+  const waitAll = async () => {
+    for (const selector of toList(step.selector)) {
+      await page.waitForSelector(selector, { visible: step.visible === true, timeout: Number(step.timeout) || 15000 });
+    }
+  };
+  if (!step.checkLoginErrors) return await waitAll();
+
+  // Race the selectors against Bayan's error messages so a rejected login fails fast instead of timing out.
+  let done = false;
+  const wait = waitAll().finally(() => {
+    done = true;
+  });
+  const watch = (async () => {
+    while (!done) {
+      await throwIfLoginError(page, ctx.loginErrors, step.checkLoginErrors);
+      await delay(500);
+    }
+  })();
+  try {
+    await Promise.race([wait, watch]);
+  } catch (e) {
+    if (!e?.bayanMessage) await throwIfLoginError(page, ctx.loginErrors, step.checkLoginErrors);
+    throw e;
+  } finally {
+    done = true;
+    // Whichever side lost the race may still settle; don't let it surface as an unhandled rejection.
+    wait.catch(() => {});
+    watch.catch(() => {});
+  }
+}
+
+async function clickStep(page, step) {
+  if (step.text) {
+    const clicked = await page.evaluate(
+      ({ selector, textSelector, text }) => {
+        const candidates = Array.from(document.querySelectorAll(textSelector || selector));
+        const match = candidates.find((el) => el.textContent.trim() === text);
+        if (!match) return false;
+        const target = textSelector ? match.closest(selector) : match;
+        if (!target) return false;
+        target.click();
+        return true;
+      },
+      { selector: step.selector, textSelector: step.textSelector || null, text: step.text }
+    );
+    if (clicked) return;
+    if (!step.fallbackSelector) throw new Error(`No element "${step.selector}" with text "${step.text}"`);
+    await page.click(step.fallbackSelector);
+    return;
+  }
+  await page.click(step.selector);
+}
+
+async function enterOtp(page, step, ctx) {
+  const waitMs = Number(step.waitBeforeFetchMs) || 0;
+  ctx.logStep(step.label || 'OTP', `waiting ${waitMs}ms for email then fetching OTP`);
+  if (waitMs > 0) await delay(waitMs);
+  const otp = await ctx.fetchOtp(ctx.otpBaseline);
+  if (!otp) {
+    logger.error('OTP fetch returned empty');
+    throw codedError('OTP_NOT_RECEIVED', 'Failed to fetch OTP (no code received)');
+  }
+  ctx.logStep(step.label || 'OTP', `received (length=${otp.length})`);
+
+  const fields = toList(step.fields);
+  const otpDigits = otp.split('');
+  if (otpDigits.length < fields.length) {
+    logger.error('OTP too short:', otp.length);
+    throw codedError('OTP_NOT_RECEIVED', `OTP too short (length=${otp.length})`);
+  }
+  ctx.logStep(step.label || 'OTP', `typing digits into ${fields.join(', ')}`);
+  for (let i = 0; i < fields.length; i++) {
+    const fieldId = fields[i];
+    await page.click(fieldId);
+    await page.evaluate((id) => {
+      document.querySelector(id).value = '';
+    }, fieldId);
+    await page.type(fieldId, otpDigits[i], { delay: 40 });
+    await delay(150);
+  }
+  await delay(300);
+
+  if (step.submitSelector) {
+    ctx.logStep(step.label || 'OTP', 'waiting for verify button enabled, then submit');
+    if (step.submitEnabledSelector) {
+      await page.waitForFunction(
+        (sel) => {
+          const btn = document.querySelector(sel);
+          return btn && !btn.disabled;
+        },
+        { timeout: Number(step.submitEnabledTimeout) || 10000 },
+        step.submitEnabledSelector
+      );
+    }
+    await markLoginErrorsSeen(page, ctx.loginErrors);
+    await page.click(step.submitSelector);
+  }
+}
+
+/**
+ * After submitting a code: the OTP error Bayan showed ({ code, text }), or null once the OTP page is gone
+ * or verdictTimeout passes without an error (assertPostLogin takes it from there).
+ */
+async function waitForOtpVerdict(page, step, ctx) {
+  const timeoutMs = Number(step.verdictTimeout) || 15000;
+  const firstField = toList(step.fields)[0];
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    await delay(500);
+    const found = await findLoginError(page, ctx.loginErrors, step.checkOtpErrors);
+    if (found) return found;
+    if (firstField && (await page.$(firstField).catch(() => null)) == null) return null;
+  }
+  return null;
+}
+
+/** Click Bayan's "resend code" control (resend: { selector, text, timeout }) once it is enabled. */
+async function clickResend(page, resend) {
+  const texts = toList(resend.text).map((t) => String(t).toLowerCase());
+  const handle = await page.waitForFunction(
+    (selector, texts) =>
+      Array.from(document.querySelectorAll(selector)).find((el) => {
+        const label = (el.innerText || el.textContent || '').trim().toLowerCase();
+        const enabled = !el.disabled && !el.classList.contains('disabled') && el.getAttribute('aria-disabled') !== 'true';
+        return enabled && el.getClientRects().length > 0 && (texts.length === 0 || texts.some((t) => label.includes(t)));
+      }) || null,
+    { timeout: Number(resend.timeout) || 60000, polling: 1000 },
+    resend.selector,
+    texts
+  );
+  await handle.asElement().click();
+}
+
+/**
+ * Fetch, type and submit the OTP. With checkOtpErrors + resend, a code Bayan rejects (or reports as expired)
+ * is replaced in the same page: the used message becomes the new baseline, "resend" is clicked and a newer
+ * code is awaited, up to maxResends times.
+ */
+async function fillOtpStep(page, step, ctx) {
+  const label = step.label || 'OTP';
+  const maxResends = Math.max(0, Number(step.maxResends) || 0);
+  for (let resends = 0; ; resends++) {
+    await enterOtp(page, step, ctx);
+    if (!step.checkOtpErrors || !step.resend) return;
+    const verdict = await waitForOtpVerdict(page, step, ctx);
+    if (!verdict) return;
+    ctx.logStep(label, `rejected by Bayan (${verdict.code}): ${verdict.text.slice(0, 120)}`);
+    if (resends >= maxResends) throw loginErrorToThrow(verdict);
+    // The newest message is the code that was just rejected; only a newer one will do.
+    ctx.otpBaseline = await ctx.getOtpBaseline();
+    ctx.logStep(label, `requesting a new code (resend ${resends + 1}/${maxResends})`);
+    try {
+      await clickResend(page, step.resend);
+    } catch (e) {
+      const err = loginErrorToThrow(verdict);
+      err.message += ` (resend failed: ${e?.message})`;
+      throw err;
+    }
+  }
+}
+
+async function assertPostLoginStep(page, step, ctx) {
+  const timeoutMs = Number(step.timeout) || 60000;
+  const sessionCookies = toList(step.sessionCookies);
+  const loginPattern = String(step.loginUrlPattern || 'login').toLowerCase();
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    await ctx.checkOops(page, step.pollOopsCheck || 'post-login wait');
+    await throwIfLoginError(page, ctx.loginErrors, step.checkLoginErrors);
+    let url = '';
+    let cookies = [];
+    try {
+      url = page.url();
+      cookies = await page.cookies();
+    } catch (e) {
+      await delay(750);
+      continue;
+    }
+    const names = new Set((cookies || []).map((c) => c?.name).filter(Boolean));
+    const hasDashboard = step.dashboardSelector
+      ? (await page.$(step.dashboardSelector).catch(() => null)) != null
+      : false;
+    const hasSessionCookie = sessionCookies.some((n) => names.has(n));
+    const lowerUrl = url.toLowerCase();
+    const stillOnLogin = lowerUrl.includes(`/${loginPattern}`) || (url.includes('#') && lowerUrl.includes(loginPattern));
+    if (hasDashboard || (hasSessionCookie && !stillOnLogin)) {
+      ctx.logStep(step.label || 'Post-login', 'reached');
+      return;
+    }
+    await delay(750);
+  }
+  throw codedError('POST_LOGIN_TIMEOUT', 'Post-login state not reached (still on login/OTP page)');
+}
+
+async function runStep(page, step, ctx) {
+  switch (step.type) {
+    case 'navigate':
+      await page.goto(step.url, { waitUntil: step.waitUntil || 'networkidle2', timeout: Number(step.timeout) || 30000 });
+      return;
+    case 'waitFor':
+      await waitForStep(page, step, ctx);
+      return;
+    case 'click':
+      await clickStep(page, step);
+      return;
+    case 'type':
+      await page.type(step.selector, String(step.value ?? ''), { delay: Number(step.delay) || 0 });
+      return;
+    case 'select':
+      await page.select(step.selector, String(step.value ?? ''));
+      return;
+    case 'delay':
+      await delay(Number(step.ms) || 0);
+      return;
+    case 'otpBaseline':
+      ctx.otpBaseline = await ctx.getOtpBaseline();
+      return;
+    case 'fillOtp':
+      await fillOtpStep(page, step, ctx);
+      return;
+    case 'assertPostLogin':
+      await assertPostLoginStep(page, step, ctx);
+      return;
+    default:
+      throw new Error(`Unknown login flow step type: ${step.type}`);
+  }
+}
+
+/**
+ * Run a login flow against a page.
+ * ctx: { vars, logStep(step, detail), checkOops(page, where), getOtpBaseline(), fetchOtp(baseline) }
+ */
+export async function runLoginFlow(page, flow, ctx) {
+  const vars = ctx.vars || {};
+  ctx.loginErrors = flow.loginErrors ?? null;
+  for (let i = 0; i < flow.steps.length; i++) {
+    const step = interpolate(flow.steps[i], vars);
+    if (!step.quiet) ctx.logStep(step.label || describe(step), step.detail || '');
+    try {
+      await runStep(page, step, ctx);
+    } catch (e) {
+      if (e && typeof e === 'object') {
+        if (!e.flowStep) e.flowStep = { index: i + 1, type: step.type, label: step.label || describe(step) };
+        // A step's errorCode classifies raw Puppeteer failures (timeouts, missing elements) in that step.
+        if (step.errorCode && !isKnownErrorCode(e.code)) e.code = step.errorCode;
+      }
+      throw e;
+    }
+    if (Number(step.delayAfter) > 0) await delay(Number(step.delayAfter));
+    if (step.oopsCheck) await ctx.checkOops(page, step.oopsCheck);
+  }
+}
@@ -0,0 +1,119 @@
+import { randomBytes } from 'crypto';
+import { EventEmitter } from 'events';
+import { getRequestId } from './logger.js';
+
+/**
+ * In-memory history of login runs (one per single-flight login, however many attempts it took),
+ * for GET /admin/login-runs. Lost on restart; the logs remain the durable record.
+ */
+
+const MAX_RUNS = Number(process.env.LOGIN_RUNS_MAX || 0) || 50;
+// A run that loops on resends or retries can't grow without bound.
+const MAX_STEPS = 300;
+
+const runs = [];
+
+/**
+ * 'step': { runId, account, portal, attempt, step, detail, t } as each step starts (feeds /auth/jobs progress).
+ */
+export const loginRunEvents = new EventEmitter();
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Start recording a run. trigger: request | background | probe | admin; reason: why the cache was not used.
+ * Returns { id, step(step, detail), attempt(n), artifact(id), finish(err?) }.
+ */
+export function startLoginRun({ account, portal, trigger, reason = null }) {
+  const run = {
+    id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+    account,
+    portal,
+    trigger,
+    reason,
+    // The request (or background task) that started the login.
+    requestId: getRequestId(),
+    startedAtMs: Date.now(),
+    finishedAtMs: null,
+    outcome: 'running',
+    attempts: 0,
+    error: null,
+    artifactIds: [],
+    steps: [],
+  };
+  runs.push(run);
+  if (runs.length > MAX_RUNS) runs.shift();
+
+  const closeLastStep = (now) => {
+    const last = run.steps[run.steps.length - 1];
+    if (last && last.durationMs == null) last.durationMs = now - run.startedAtMs - last.t;
+  };
+
+  return {
+    id: run.id,
+    step(step, detail = '') {
+      const now = Date.now();
+      closeLastStep(now);
+      const entry = { attempt: run.attempts || null, step, detail, t: now - run.startedAtMs, durationMs: null };
+      run.steps.push(entry);
+      if (run.steps.length > MAX_STEPS) run.steps.shift();
+      loginRunEvents.emit('step', { runId: run.id, account: run.account, portal: run.portal, attempt: entry.attempt, step, detail, t: entry.t });
+    },
+    attempt(n) {
+      run.attempts = n;
+    },
+    artifact(id) {
+      if (id) run.artifactIds.push(id);
+    },
+    /**
+     * success when err is absent; 'adopted' when the session came from another instance (no attempt made here).
+     * Returns { outcome, durationMs }.
+     */
+    finish(err) {
+      if (run.finishedAtMs) return { outcome: run.outcome, durationMs: run.finishedAtMs - run.startedAtMs };
+      run.finishedAtMs = Date.now();
+      closeLastStep(run.finishedAtMs);
+      if (err) {
+        run.outcome = 'failed';
+        run.error = { code: err?.code ?? null, message: err?.message ?? String(err) };
+      } else {
+        run.outcome = run.attempts > 0 ? 'success' : 'adopted';
+      }
+      return { outcome: run.outcome, durationMs: run.finishedAtMs - run.startedAtMs };
+    },
+  };
+}
+
+function toJson(run) {
+  return {
+    id: run.id,
+    account: run.account,
+    portal: run.portal,
+    trigger: run.trigger,
+    reason: run.reason,
+    requestId: run.requestId,
+    outcome: run.outcome,
+    startedAt: iso(run.startedAtMs),
+    finishedAt: iso(run.finishedAtMs),
+    durationMs: (run.finishedAtMs || Date.now()) - run.startedAtMs,
+    attempts: run.attempts,
+    error: run.error,
+    artifactIds: [...run.artifactIds],
+    steps: run.steps.map((s) => ({ ...s })),
+  };
+}
+
+/** Newest first, optionally for one account. */
+export function listLoginRuns({ account, limit = 20 } = {}) {
+  const max = Math.max(1, Math.min(MAX_RUNS, Number(limit) || 20));
+  return runs
+    .filter((r) => !account || r.account === account)
+    .slice(-max)
+    .reverse()
+    .map(toJson);
+}
+
+export function getLoginRun(id) {
+  const run = runs.find((r) => r.id === id);
+  return run ? toJson(run) : null;
+}
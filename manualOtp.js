@@ -0,0 +1,112 @@
+import { randomUUID } from 'crypto';
+import { extractOtp } from './otpUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('ManualOTP').info;
+
+// Logins currently parked on the OTP page, keyed by loginId.
+const pending = new Map();
+// Recently closed windows (timed out or answered), so late codes get a clear rejection.
+const closed = new Map();
+const CLOSED_RETENTION_MS = 30 * 60 * 1000;
+
+function pruneClosed() {
+  const cutoff = Date.now() - CLOSED_RETENTION_MS;
+  for (const [id, entry] of closed) {
+    if (entry.closedAtMs < cutoff) closed.delete(id);
+  }
+}
+
+function closeWindow(entry, reason) {
+  pending.delete(entry.loginId);
+  clearTimeout(entry.timer);
+  closed.set(entry.loginId, { loginId: entry.loginId, account: entry.account, reason, closedAtMs: Date.now() });
+  pruneClosed();
+}
+
+function otpError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function publicView(entry) {
+  return {
+    loginId: entry.loginId,
+    account: entry.account,
+    portal: entry.portal,
+    waitingSince: new Date(entry.startedAtMs).toISOString(),
+    expiresAt: new Date(entry.expiresAtMs).toISOString(),
+  };
+}
+
+/**
+ * Park a login on the OTP page until a code arrives via submitManualOtp() or timeoutMs passes.
+ * Resolves with the code, or null on timeout (same contract as fetchOtpFromEmail).
+ */
+export function waitForManualOtp({ account, portal, timeoutMs }) {
+  const ms = Math.max(1000, Number(timeoutMs) || 120000);
+  const loginId = randomUUID();
+  return new Promise((resolve) => {
+    const entry = {
+      loginId,
+      account,
+      portal,
+      startedAtMs: Date.now(),
+      expiresAtMs: Date.now() + ms,
+      resolve,
+      timer: null,
+    };
+    entry.timer = setTimeout(() => {
+      log('OTP window closed without a code', { loginId, account });
+      closeWindow(entry, 'timeout');
+      resolve(null);
+    }, ms);
+    pending.set(loginId, entry);
+    log('Waiting for OTP via POST /otp', publicView(entry));
+  });
+}
+
+/**
+ * Hand a code to a waiting login. Selects by loginId, else by account (must be unambiguous).
+ * Throws errors with code OTP_INVALID, OTP_WINDOW_CLOSED, NO_PENDING_LOGIN or AMBIGUOUS_LOGIN.
+ */
+export function submitManualOtp({ code, account, loginId }) {
+  const otp = extractOtp(typeof code === 'string' || typeof code === 'number' ? String(code) : '');
+  if (!otp) throw otpError('OTP code must be 4-8 digits', 'OTP_INVALID');
+
+  let entry = null;
+  if (loginId) {
+    entry = pending.get(loginId) ?? null;
+    if (!entry) {
+      if (closed.has(loginId)) throw otpError(`OTP window for login ${loginId} is closed`, 'OTP_WINDOW_CLOSED');
+      throw otpError(`No login ${loginId} is waiting for an OTP`, 'NO_PENDING_LOGIN');
+    }
+  } else {
+    const candidates = Array.from(pending.values()).filter((e) => !account || e.account === account);
+    if (candidates.length > 1) {
+      throw otpError('Several logins are waiting for an OTP; pass loginId', 'AMBIGUOUS_LOGIN');
+    }
+    entry = candidates[0] ?? null;
+    if (!entry) {
+      const recent = Array.from(closed.values()).some((e) => !account || e.account === account);
+      if (recent) throw otpError('OTP window is closed', 'OTP_WINDOW_CLOSED');
+      throw otpError('No login is waiting for an OTP', 'NO_PENDING_LOGIN');
+    }
+  }
+
+  if (Date.now() > entry.expiresAtMs) {
+    closeWindow(entry, 'timeout');
+    entry.resolve(null);
+    throw otpError(`OTP window for login ${entry.loginId} is closed`, 'OTP_WINDOW_CLOSED');
+  }
+
+  log('OTP submitted', { loginId: entry.loginId, account: entry.account, otpLength: otp.length });
+  closeWindow(entry, 'submitted');
+  entry.resolve(otp);
+  return { loginId: entry.loginId, account: entry.account };
+}
+
+export function listPendingManualOtps() {
+  return Array.from(pending.values()).map(publicView);
+}
@@ -0,0 +1,126 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus metrics served at GET /metrics. Modules record through the helpers below rather than
+ * touching prom-client directly, so label sets stay in one place and bounded.
+ */
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'bayan_auth_' });
+
+const loginAttempts = new client.Counter({
+  name: 'bayan_auth_login_attempts_total',
+  help: 'Browser login attempts by outcome (success|failure) and error code',
+  labelNames: ['outcome', 'code'],
+  registers: [registry],
+});
+
+const loginDuration = new client.Histogram({
+  name: 'bayan_auth_login_duration_seconds',
+  help: 'Login runs (all attempts) by outcome: success, adopted (session from another instance) or failed',
+  labelNames: ['outcome'],
+  buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300, 600],
+  registers: [registry],
+});
+
+const loginsInFlight = new client.Gauge({
+  name: 'bayan_auth_logins_in_flight',
+  help: 'Login runs in progress on this instance',
+  registers: [registry],
+});
+
+const otpWait = new client.Histogram({
+  name: 'bayan_auth_otp_wait_seconds',
+  help: 'Time from starting to fetch an OTP until it arrived (or the source gave up), by source and outcome',
+  labelNames: ['source', 'outcome'],
+  buckets: [2, 5, 10, 15, 20, 30, 45, 60, 90, 120, 180],
+  registers: [registry],
+});
+
+const otpPolls = new client.Counter({
+  name: 'bayan_auth_otp_mailbox_polls_total',
+  help: 'Mailbox polls made while waiting for an OTP email, by provider (graph|imap)',
+  labelNames: ['provider'],
+  registers: [registry],
+});
+
+const cacheLookups = new client.Counter({
+  name: 'bayan_auth_cache_lookups_total',
+  help: 'getAuth() cache lookups by result (hit|miss)',
+  labelNames: ['result'],
+  registers: [registry],
+});
+
+const proxyRequests = new client.Counter({
+  name: 'bayan_proxy_requests_total',
+  help: 'Upstream Bayan requests made by /bayan/*, by method, route template and upstream status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const proxyDuration = new client.Histogram({
+  name: 'bayan_proxy_request_duration_seconds',
+  help: 'Upstream Bayan response time (until headers), by method, route template and upstream status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60, 120],
+  registers: [registry],
+});
+
+// Ids in Bayan paths (numbers, UUIDs, hashes, long mixed tokens) become ":id" to keep route cardinality bounded.
+const ID_SEGMENT_RE = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,}|(?=.*\d)[A-Za-z0-9_-]{12,})$/i;
+
+/** "/api/trips/12345?x=1" → "/api/trips/:id" */
+export function routeTemplate(pathAndQuery) {
+  const pathname = String(pathAndQuery || '/').split('?')[0];
+  return pathname
+    .split('/')
+    .map((seg) => (seg && ID_SEGMENT_RE.test(seg) ? ':id' : seg))
+    .join('/');
+}
+
+// Paths the id rule misses (slugs, search terms in the path) could still add a route per request:
+// after METRICS_MAX_ROUTES distinct templates, further new ones are counted under "other".
+const MAX_ROUTES = Number(process.env.METRICS_MAX_ROUTES || 0) || 200;
+const seenRoutes = new Set();
+
+function routeLabel(pathAndQuery) {
+  const route = routeTemplate(pathAndQuery);
+  if (seenRoutes.has(route)) return route;
+  if (seenRoutes.size >= MAX_ROUTES) return 'other';
+  seenRoutes.add(route);
+  return route;
+}
+
+const seconds = (ms) => Math.max(0, ms) / 1000;
+
+export function recordLoginAttempt(err) {
+  loginAttempts.inc({ outcome: err ? 'failure' : 'success', code: err ? err.code || 'UNKNOWN' : '' });
+}
+
+export function recordLoginRun(outcome, durationMs) {
+  loginDuration.observe({ outcome }, seconds(durationMs));
+}
+
+export function trackLoginInFlight(started) {
+  if (started) loginsInFlight.inc();
+  else loginsInFlight.dec();
+}
+
+export function recordOtpWait(source, received, durationMs) {
+  otpWait.observe({ source, outcome: received ? 'received' : 'none' }, seconds(durationMs));
+}
+
+export function recordOtpPoll(provider) {
+  otpPolls.inc({ provider });
+}
+
+export function recordCacheLookup(hit) {
+  cacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+/** status: upstream HTTP status, or "timeout" / "error" when no response came back. */
+export function recordProxyRequest({ method, pathAndQuery, status, durationMs }) {
+  const labels = { method, route: routeLabel(pathAndQuery), status: String(status) };
+  proxyRequests.inc(labels);
+  proxyDuration.observe(labels, seconds(durationMs));
+}
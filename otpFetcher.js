@@ -2,18 +2,39 @@ import 'dotenv/config';
 import { ClientSecretCredential } from '@azure/identity';
 import { Client } from '@microsoft/microsoft-graph-client';
 import { TokenCredentialAuthenticationProvider } from '@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials/index.js';
-import { extractOtp } from './otpUtils.js';
+import { extractOtp, matchSender } from './otpUtils.js';
+import { recordOtpPoll } from './metrics.js';
+import { createLogger, maskOtpDigits } from './logger.js';
+import { isOtpMessageConsumed, markOtpMessageConsumed, OTP_CONSUMED_ACTION, OTP_CONSUMED_FOLDER } from './consumedOtps.js';
+import { SpanKind, withSpan } from './tracing.js';
 
 const DEBUG = process.env.DEBUG_OTP === 'true';
-const dlog = (...args) => {
-  if (DEBUG) console.log('[OTP_DEBUG]', ...args);
-};
-const log = (...args) => console.log('[OTP]', ...args);
+const logger = createLogger('OTP', { level: DEBUG ? 'debug' : undefined });
+const log = logger.info;
+// DEBUG_OTP: mailbox details at debug level. Email text goes through maskOtpDigits and codes are never printed.
+const dlog = logger.debug;
 
 const tenantId = process.env.AZURE_TENANT_ID;
 const clientId = process.env.AZURE_CLIENT_ID;
 const clientSecret = process.env.AZURE_CLIENT_SECRET;
 const userEmail = process.env.USER_EMAIL;
+// Graph root without the version, e.g. a local mock at http://127.0.0.1:4000 (serving /v1.0/users/...).
+const GRAPH_BASE_URL = (process.env.GRAPH_BASE_URL || '').trim().replace(/\/+$/, '') || 'https://graph.microsoft.com';
+const GRAPH_IS_DEFAULT_HOST = new URL(GRAPH_BASE_URL).hostname === 'graph.microsoft.com';
+/**
+ * How each OTP poll reads the mailbox:
+ *   window (default)  Inbox/Junk messages received since the OTP was requested ($filter receivedDateTime ge)
+ *   delta             Inbox/Junk delta queries over the same window; each poll returns only changes
+ *   scan              newest 100 Inbox, 100 Junk, then 200 from all mail (also the fallback when the others fail)
+ */
+const POLL_MODES = ['window', 'delta', 'scan'];
+const GRAPH_OTP_POLL_MODE = POLL_MODES.includes((process.env.GRAPH_OTP_POLL_MODE || '').trim().toLowerCase())
+  ? process.env.GRAPH_OTP_POLL_MODE.trim().toLowerCase()
+  : 'window';
+// The window opens this long before the OTP is requested, for clock skew between this host and Exchange.
+const WINDOW_SKEW_MS = Number(process.env.GRAPH_OTP_WINDOW_SKEW_MS ?? 60000) || 0;
+const WATCH_FOLDERS = ['inbox', 'junkemail'];
+const MESSAGE_FIELDS = 'id,subject,receivedDateTime,from,sender,bodyPreview';
 
 let graphClient = null;
 
@@ -26,65 +47,223 @@ function getGraphClient() {
   const t = typeof tenantId === 'string' ? tenantId.trim() : '';
   const c = typeof clientId === 'string' ? clientId.trim() : '';
   const s = typeof clientSecret === 'string' ? clientSecret.trim() : '';
-  const u = typeof userEmail === 'string' ? userEmail.trim() : '';
-  if (!t || !c || !s || !u) {
-    console.error('[OTP] Missing env: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, USER_EMAIL');
-    throw new Error('Missing: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET, USER_EMAIL');
+  if (!GRAPH_IS_DEFAULT_HOST && (!t || !c || !s)) {
+    // A mock Graph (GRAPH_BASE_URL) needs no Azure app; requests go out without a token.
+    graphClient = Client.initWithMiddleware({ authProvider: { getAccessToken: async () => '' }, baseUrl: GRAPH_BASE_URL });
+    log('Graph client ready (no credentials)', { baseUrl: GRAPH_BASE_URL });
+    return graphClient;
+  }
+  if (!t || !c || !s) {
+    logger.error('Missing env: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET');
+    throw new Error('Missing: AZURE_TENANT_ID, AZURE_CLIENT_ID, AZURE_CLIENT_SECRET');
   }
   try {
     const credential = new ClientSecretCredential(t, c, s);
     const authProvider = new TokenCredentialAuthenticationProvider(credential, {
       scopes: ['https://graph.microsoft.com/.default'],
     });
-    graphClient = Client.initWithMiddleware({ authProvider });
-    log('Graph client ready', { userEmail: u });
+    graphClient = Client.initWithMiddleware({
+      authProvider,
+      // customHosts gets the token attached for another https host (e.g. an egress proxy in front of Graph).
+      ...(GRAPH_IS_DEFAULT_HOST ? {} : { baseUrl: GRAPH_BASE_URL, customHosts: new Set([new URL(GRAPH_BASE_URL).hostname]) }),
+    });
+    log('Graph client ready');
     return graphClient;
   } catch (e) {
-    console.error('[OTP] Graph client init failed:', e?.message);
+    logger.error('Graph client init failed:', e?.message);
     throw e;
   }
 }
 
+/** Mailbox to read: explicit per-account mailbox, else USER_EMAIL. */
+function resolveMailbox(mailbox) {
+  const m = typeof mailbox === 'string' && mailbox.trim() ? mailbox.trim() : userEmail;
+  const u = typeof m === 'string' ? m.trim() : '';
+  if (!u) {
+    logger.error('Missing mailbox: set USER_EMAIL or the account mailbox');
+    throw new Error('Missing: USER_EMAIL (or account mailbox)');
+  }
+  return u;
+}
+
 function getFromAddress(msg) {
   return (msg?.from?.emailAddress?.address || msg?.sender?.emailAddress?.address || '').trim();
 }
 
-function matchSender(addr, wanted) {
-  const a = (addr || '').trim().toLowerCase();
-  const w = (wanted || '').trim().toLowerCase();
-  if (!a || !w) return false;
-  if (a === w) return true;
-  // Fallback: sometimes tenant normalizes casing/aliases
-  if (a.includes(w)) return true;
-  const domain = w.includes('@') ? w.split('@')[1] : '';
-  if (domain && a.endsWith(`@${domain}`)) return true;
-  return false;
+/** One page of messages; throws on Graph errors (fetchMessages is the forgiving variant). */
+async function queryMessages(client, { mailbox, folder, top = 25, filter, orderBy, select }) {
+  const limit = Math.min(Number(top) || 25, 200);
+  const spanAttributes = { 'bayan.mail.folder': folder || 'all', 'bayan.mail.top': limit, 'bayan.mail.filtered': Boolean(filter) };
+  return withSpan(
+    folder ? `Graph GET mailFolders/${folder}/messages` : 'Graph GET messages',
+    async (span) => {
+      const path = folder
+        ? `/users/${mailbox}/mailFolders/${folder}/messages`
+        : `/users/${mailbox}/messages`;
+      let req = client.api(path).top(limit).select(select || MESSAGE_FIELDS);
+      if (filter) req = req.filter(filter);
+      if (orderBy) req = req.orderby(orderBy);
+      const res = await req.get();
+      const list = Array.isArray(res?.value) ? res.value : [];
+      span.setAttribute('bayan.mail.count', list.length);
+      return list;
+    },
+    { kind: SpanKind.CLIENT, attributes: spanAttributes }
+  );
 }
 
-async function fetchMessages(client, { folder, top = 25, filter, orderBy, select }) {
+async function fetchMessages(client, options) {
   if (!client?.api) return [];
   try {
-    const path = folder
-      ? `/users/${userEmail}/mailFolders/${folder}/messages`
-      : `/users/${userEmail}/messages`;
-    let req = client.api(path).top(Math.min(Number(top) || 25, 200)).select(select || 'id,subject,receivedDateTime,from,sender,bodyPreview');
-    if (filter) req = req.filter(filter);
-    if (orderBy) req = req.orderby(orderBy);
-    const res = await req.get();
-    const list = res?.value;
-    return Array.isArray(list) ? list : [];
+    return await queryMessages(client, options);
   } catch (e) {
-    log('fetchMessages failed', folder || 'messages', e?.message);
+    log('fetchMessages failed', options?.folder || 'messages', e?.message);
     return [];
   }
 }
 
-async function getLatestMessageFrom(fromAddress, client) {
+// Graph OData DateTimeOffset literal, whole seconds: 2024-01-01T10:00:00Z
+const odataTime = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// nextLink/deltaLink → path relative to the client's base URL and version (the SDK only parses https:// links itself).
+function graphLinkPath(link) {
+  const u = new URL(link);
+  return u.pathname.replace(/^\/(v1\.0|beta)(?=\/)/, '') + u.search;
+}
+
+/**
+ * Run a delta round for one folder to its deltaLink. The first round (no deltaLink yet) is limited to
+ * messages received since sinceMs. Returns { messages, deltaLink }; deleted messages are left out.
+ */
+async function runDeltaRound(client, { mailbox, folder, sinceMs, deltaLink }) {
+  return withSpan(
+    `Graph GET mailFolders/${folder}/messages/delta`,
+    async (span) => {
+      let req = deltaLink
+        ? client.api(graphLinkPath(deltaLink))
+        : client
+            .api(`/users/${mailbox}/mailFolders/${folder}/messages/delta`)
+            .select(MESSAGE_FIELDS)
+            .filter(`receivedDateTime ge ${odataTime(sinceMs)}`)
+            .orderby('receivedDateTime desc');
+      const messages = [];
+      let pages = 0;
+      // A busy mailbox can't keep one poll paging forever.
+      while (pages < 20) {
+        pages += 1;
+        const res = await req.header('Prefer', 'odata.maxpagesize=50').get();
+        for (const m of Array.isArray(res?.value) ? res.value : []) {
+          if (!m['@removed']) messages.push(m);
+        }
+        if (res?.['@odata.deltaLink']) {
+          span.setAttributes({ 'bayan.mail.count': messages.length, 'bayan.mail.pages': pages });
+          return { messages, deltaLink: res['@odata.deltaLink'] };
+        }
+        if (!res?.['@odata.nextLink']) break;
+        req = client.api(graphLinkPath(res['@odata.nextLink']));
+      }
+      const err = new Error(`delta query for ${folder} returned no deltaLink after ${pages} page(s)`);
+      // Paging on wouldn't end either: treat it like a query Graph can't serve.
+      err.unsupportedQuery = true;
+      throw err;
+    },
+    { kind: SpanKind.CLIENT, attributes: { 'bayan.mail.folder': folder, 'bayan.mail.initial': !deltaLink } }
+  );
+}
+
+/** Messages in Inbox/Junk that arrived since the watch started (window) or since the last poll (delta). */
+async function readWatch(watch, client) {
+  const found = [];
+  for (const folder of WATCH_FOLDERS) {
+    if (watch.mode === 'delta') {
+      const round = await runDeltaRound(client, { mailbox: watch.mailbox, folder, sinceMs: watch.sinceMs, deltaLink: watch.deltaLinks[folder] });
+      watch.deltaLinks[folder] = round.deltaLink;
+      found.push(...round.messages);
+    } else {
+      found.push(
+        ...(await queryMessages(client, {
+          mailbox: watch.mailbox,
+          folder,
+          top: 50,
+          filter: `receivedDateTime ge ${odataTime(watch.sinceMs)}`,
+          orderBy: 'receivedDateTime desc',
+        }))
+      );
+    }
+  }
+  return found;
+}
+
+/**
+ * Graph refused the window/delta query itself: 400/501 (filter or sort not supported for this mailbox)
+ * or 410 (delta state expired). Throttling (429), outages and network errors are not: the poll is retried.
+ */
+function isUnsupportedQuery(e) {
+  return Boolean(e?.unsupportedQuery) || [400, 410, 501].includes(e?.statusCode) || /restriction or sort order is too complex/i.test(e?.message ?? '');
+}
+
+/** True when a full-scan result predates the watch (the baseline id alone doesn't cover it for window/delta watches). */
+function olderThanWatch(msg, watch) {
+  if (!msg || !watch?.sinceMs) return false;
+  return watch.seenIds?.has(msg.id) || new Date(msg.receivedDateTime).getTime() < watch.sinceMs;
+}
+
+const newestFirst = (msgs) => msgs.slice().sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
+
+/**
+ * Start watching a mailbox for the next OTP email; call just before the code is requested.
+ * Remembers what is already there so fetchOtpFromEmail(..., { watch }) only looks at what arrives later.
+ * Returns { mode, mailbox, sinceMs, seenIds, deltaLinks, baselineId } (baselineId: newest matching message
+ * id at the start, or null). Falls back to the full scan (mode "scan", with sinceMs and baselineId) when the
+ * window/delta query fails.
+ */
+export async function startGraphOtpWatch(fromAddress = 'NoReply@logisti.sa', mailbox = null, { mode = GRAPH_OTP_POLL_MODE } = {}) {
+  const from = typeof fromAddress === 'string' ? fromAddress.trim() : 'NoReply@logisti.sa';
+  const sinceMs = Date.now() - WINDOW_SKEW_MS;
+  // sinceMs also guards the scan: if the baseline read fails (null), mail from before the request is still skipped.
+  const scanWatch = async () => ({ mode: 'scan', sinceMs, baselineId: (await getLatestMessageMeta(from, mailbox))?.id ?? null });
+  if (mode === 'scan') return scanWatch();
+  let client;
+  let box;
+  try {
+    client = getGraphClient();
+    box = resolveMailbox(mailbox);
+  } catch (e) {
+    logger.error('startGraphOtpWatch getGraphClient failed:', e?.message);
+    return { mode: 'scan', sinceMs, baselineId: null };
+  }
+  const watch = { mode, mailbox: box, sinceMs, seenIds: new Set(), deltaLinks: {}, baselineId: null };
+  try {
+    const existing = await readWatch(watch, client);
+    for (const m of existing) watch.seenIds.add(m.id);
+    watch.baselineId = newestFirst(existing).find((m) => matchSender(getFromAddress(m), from.toLowerCase()))?.id ?? null;
+    log('OTP watch started', { mode, since: new Date(watch.sinceMs).toISOString(), existing: existing.length, baselineId: watch.baselineId ?? 'none' });
+    return watch;
+  } catch (e) {
+    log(`OTP watch (${mode}) failed; falling back to full scan`, e?.message);
+    return scanWatch();
+  }
+}
+
+/** Newest message from fromAddress that arrived after the watch started, or null. */
+async function getNewMessageFrom(fromAddress, client, watch) {
+  const wanted = (fromAddress || '').trim().toLowerCase();
+  const messages = await readWatch(watch, client);
+  const fresh = messages.filter((m) => !watch.seenIds.has(m.id));
+  // A delta query reports a message once; keep the last match in case this poll can't read its code.
+  const candidates = watch.lastMatch ? [watch.lastMatch, ...fresh] : fresh;
+  const match = newestFirst(candidates).find((m) => matchSender(getFromAddress(m), wanted)) ?? null;
+  dlog(`Watch (${watch.mode}) returned=${messages.length} new=${fresh.length} matched=${match ? 1 : 0}`);
+  if (match) watch.lastMatch = match;
+  return match;
+}
+
+async function getLatestMessageFrom(fromAddress, client, mailbox) {
   const wanted = (fromAddress || '').trim().toLowerCase();
   // NOTE: We do NOT rely on Graph's server-side "from =" filter because it can be brittle
   // (aliases/casing/display differences). We fetch newest emails and match locally.
   try {
-    dlog('USER_EMAIL (mailbox being read):', userEmail);
+    dlog('Mailbox being read:', mailbox);
     dlog('Sender requested:', fromAddress);
 
     const selectFields = 'id,subject,receivedDateTime,from,sender,bodyPreview';
@@ -97,15 +276,15 @@ async function getLatestMessageFrom(fromAddress, client) {
       return match ?? null;
     };
 
-    const inbox = await fetchMessages(client, { folder: 'inbox', top: 100, filter: null, orderBy, select: selectFields });
+    const inbox = await fetchMessages(client, { mailbox, folder: 'inbox', top: 100, filter: null, orderBy, select: selectFields });
     const inboxMatch = pickLatestMatch(inbox, 'Inbox');
     if (inboxMatch) return inboxMatch;
 
-    const junk = await fetchMessages(client, { folder: 'junkemail', top: 100, filter: null, orderBy, select: selectFields });
+    const junk = await fetchMessages(client, { mailbox, folder: 'junkemail', top: 100, filter: null, orderBy, select: selectFields });
     const junkMatch = pickLatestMatch(junk, 'JunkEmail');
     if (junkMatch) return junkMatch;
 
-    const all = await fetchMessages(client, { folder: null, top: 200, filter: null, orderBy, select: selectFields });
+    const all = await fetchMessages(client, { mailbox, folder: null, top: 200, filter: null, orderBy, select: selectFields });
     const allMatch = pickLatestMatch(all, 'All');
     return allMatch;
   } catch (e) {
@@ -114,17 +293,17 @@ async function getLatestMessageFrom(fromAddress, client) {
     if (!msg.includes('restriction or sort order is too complex')) throw e;
     dlog('Graph complained about sort/filter complexity; fetching without orderby and sorting locally.');
     const selectFields = 'id,subject,receivedDateTime,from,sender,bodyPreview';
-    const recent = await fetchMessages(client, { folder: null, top: 200, filter: null, orderBy: null, select: selectFields });
+    const recent = await fetchMessages(client, { mailbox, folder: null, top: 200, filter: null, orderBy: null, select: selectFields });
     const sorted = recent.slice().sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
     return sorted.find((m) => matchSender(getFromAddress(m), wanted)) ?? null;
   }
 }
 
-async function getMessageBodyById(messageId, client) {
+async function getMessageBodyById(messageId, client, mailbox) {
   if (!messageId || !client?.api) return null;
   try {
     return await client
-      .api(`/users/${userEmail}/messages/${messageId}`)
+      .api(`/users/${mailbox}/messages/${messageId}`)
       .select('id,subject,receivedDateTime,from,sender,body,bodyPreview')
       .get();
   } catch (e) {
@@ -133,12 +312,13 @@ async function getMessageBodyById(messageId, client) {
   }
 }
 
-export async function getLatestMessageMeta(fromAddress = 'NoReply@logisti.sa') {
+export async function getLatestMessageMeta(fromAddress = 'NoReply@logisti.sa', mailbox = null) {
   const from = typeof fromAddress === 'string' ? fromAddress.trim() : 'NoReply@logisti.sa';
   log('getLatestMessageMeta', { fromAddress: from });
   try {
     const client = getGraphClient();
-    const msg = await getLatestMessageFrom(from, client);
+    const box = resolveMailbox(mailbox);
+    const msg = await getLatestMessageFrom(from, client, box);
     if (!msg) {
       log('getLatestMessageMeta: no message found');
       return null;
@@ -152,32 +332,98 @@ export async function getLatestMessageMeta(fromAddress = 'NoReply@logisti.sa') {
     log('getLatestMessageMeta: found', { id: meta.id, subject: meta.subject?.slice(0, 50) });
     return meta;
   } catch (e) {
-    console.error('[OTP] getLatestMessageMeta failed:', e?.message);
+    logger.error('getLatestMessageMeta failed:', e?.message);
     return null;
   }
 }
 
+const consumedKey = (mailbox, messageId) => `graph:${String(mailbox).toLowerCase()}:${messageId}`;
+
+// Graph accepts these well-known names wherever a folder id goes.
+const WELL_KNOWN_FOLDERS = new Set(['archive', 'deleteditems', 'inbox', 'junkemail', 'msgfolderroot']);
+const folderIds = new Map();
+
+/** Id of a top-level mail folder by display name, created when missing (cached per mailbox). */
+async function resolveFolderId(client, mailbox, name) {
+  if (WELL_KNOWN_FOLDERS.has(name.toLowerCase())) return name.toLowerCase();
+  const cacheKey = `${mailbox}\n${name}`;
+  if (folderIds.has(cacheKey)) return folderIds.get(cacheKey);
+  const res = await client
+    .api(`/users/${mailbox}/mailFolders`)
+    .filter(`displayName eq '${name.replace(/'/g, "''")}'`)
+    .select('id,displayName')
+    .get();
+  let id = res?.value?.[0]?.id;
+  if (!id) {
+    id = (await client.api(`/users/${mailbox}/mailFolders`).post({ displayName: name }))?.id;
+    log('Created mail folder for used OTP emails', { folder: name });
+  }
+  if (!id) throw new Error(`mail folder "${name}" could not be found or created`);
+  folderIds.set(cacheKey, id);
+  return id;
+}
+
+/**
+ * After a successful login: mark the OTP emails it used read, then move or delete them (OTP_CONSUMED_ACTION).
+ * messages: [{ id, mailbox }] as passed to fetchOtpFromEmail's onConsumed. Failures are logged, not thrown;
+ * needs Mail.ReadWrite (Mail.Read is enough for everything else).
+ */
+export async function cleanUpOtpMessages(messages = []) {
+  if (OTP_CONSUMED_ACTION === 'none' || !messages.length) return;
+  let client;
+  try {
+    client = getGraphClient();
+  } catch (e) {
+    logger.error('cleanUpOtpMessages getGraphClient failed:', e?.message);
+    return;
+  }
+  for (const { id, mailbox } of messages) {
+    try {
+      await client.api(`/users/${mailbox}/messages/${id}`).patch({ isRead: true });
+      if (OTP_CONSUMED_ACTION === 'move') {
+        const destinationId = await resolveFolderId(client, mailbox, OTP_CONSUMED_FOLDER);
+        await client.api(`/users/${mailbox}/messages/${id}/move`).post({ destinationId });
+      } else if (OTP_CONSUMED_ACTION === 'delete') {
+        await client.api(`/users/${mailbox}/messages/${id}`).delete();
+      }
+      log('Used OTP email cleaned up', { id, action: OTP_CONSUMED_ACTION });
+    } catch (e) {
+      log('Used OTP email clean-up failed', { id, action: OTP_CONSUMED_ACTION }, e?.message);
+    }
+  }
+}
+
 /**
  * Fetch OTP from the latest email (simple mode).
  * Retries until the latest email contains an OTP and is recent enough.
+ * options.watch (startGraphOtpWatch) limits each poll to messages that arrived after it started;
+ * without one, or once Graph rejects its query (isUnsupportedQuery), each poll is a full scan that still
+ * skips mail from before the watch. Other query errors (throttling, outages) just fail that attempt.
+ * A message whose code was returned once (OTP_CONSUMED_FILE) is never accepted again; options.onConsumed({ id, mailbox })
+ * is called for the message a returned code came from.
  */
 export async function fetchOtpFromEmail(
   fromAddress = 'NoReply@logisti.sa',
   retries = 5,
   delayMs = 2000,
   maxAgeMinutes = 2,
-  afterMessageId = null
+  afterMessageId = null,
+  mailbox = null,
+  { watch = null, onConsumed = null } = {}
 ) {
   const from = typeof fromAddress === 'string' ? fromAddress.trim() : 'NoReply@logisti.sa';
   const maxRetries = Math.min(Math.max(1, Number(retries) || 5), 50);
   const delay = Math.min(Math.max(500, Number(delayMs) || 2000), 60000);
   const maxAgeMin = Number(maxAgeMinutes);
-  log('fetchOtpFromEmail started', { fromAddress: from, retries: maxRetries, delayMs: delay, maxAgeMinutes: maxAgeMin, afterMessageId: afterMessageId ?? 'none' });
+  let pollMode = watch?.mode ?? 'scan';
+  log('fetchOtpFromEmail started', { fromAddress: from, retries: maxRetries, delayMs: delay, maxAgeMinutes: maxAgeMin, afterMessageId: afterMessageId ?? 'none', pollMode });
   let client;
+  let box;
   try {
     client = getGraphClient();
+    box = resolveMailbox(mailbox);
   } catch (e) {
-    console.error('[OTP] fetchOtpFromEmail getGraphClient failed:', e?.message);
+    logger.error('fetchOtpFromEmail getGraphClient failed:', e?.message);
     return null;
   }
   const maxAge = (Number.isFinite(maxAgeMin) && maxAgeMin > 0 ? maxAgeMin : 2) * 60 * 1000;
@@ -186,8 +432,26 @@ export async function fetchOtpFromEmail(
     try {
       const startTime = Date.now();
       log('fetchOtpFromEmail attempt', `${attempt}/${maxRetries}`);
+      recordOtpPoll('graph');
       dlog(`Attempt ${attempt}/${maxRetries}…`);
-      const msg = await getLatestMessageFrom(from, client);
+      let msg;
+      if (pollMode !== 'scan') {
+        try {
+          msg = await getNewMessageFrom(from, client, watch);
+        } catch (e) {
+          if (!isUnsupportedQuery(e)) throw e;
+          log(`fetchOtpFromEmail ${pollMode} query not supported; falling back to full scan`, e?.message);
+          pollMode = 'scan';
+        }
+      }
+      if (pollMode === 'scan') {
+        msg = await getLatestMessageFrom(from, client, box);
+        // A watch's baseline only covers its window, so a scan after it fell back must skip older mail itself.
+        if (olderThanWatch(msg, watch)) {
+          dlog('Latest message predates the OTP request; waiting for a newer email…', { id: msg.id });
+          msg = null;
+        }
+      }
 
       if (msg) {
         if (afterMessageId && msg.id === afterMessageId) {
@@ -195,6 +459,11 @@ export async function fetchOtpFromEmail(
           if (attempt < retries) await new Promise((r) => setTimeout(r, delayMs));
           continue;
         }
+        if (await isOtpMessageConsumed(consumedKey(box, msg.id))) {
+          dlog('Latest message was already used for a login; waiting for a newer email…', { id: msg.id });
+          if (attempt < maxRetries) await new Promise((r) => setTimeout(r, delay));
+          continue;
+        }
 
         const from =
           (msg.from?.emailAddress?.address || msg.sender?.emailAddress?.address || '').trim();
@@ -205,32 +474,34 @@ export async function fetchOtpFromEmail(
           from,
           receivedDateTime: msg.receivedDateTime,
           ageSeconds: Math.round(age / 1000),
-          subject: msg.subject || '',
+          subject: maskOtpDigits(msg.subject || ''),
         });
         const subject = msg.subject || '';
         const preview = msg.bodyPreview || '';
-        dlog('Preview (first 200 chars):', preview.slice(0, 200).replace(/\s+/g, ' '));
+        dlog('Preview (first 200 chars):', maskOtpDigits(preview.slice(0, 200).replace(/\s+/g, ' ')));
         // If maxAgeMinutes <= 0, accept any age. Otherwise enforce it.
         if (!Number.isFinite(maxAgeMin) || maxAgeMin <= 0 || age <= maxAge) {
           let otp = extractOtp(subject) || extractOtp(preview);
-          dlog('OTP from subject/preview:', otp);
+          dlog('OTP from subject/preview:', otp ? `found (length=${otp.length})` : 'none');
 
           if (!otp || DEBUG) {
-            const full = await getMessageBodyById(msg.id, client);
+            const full = await getMessageBodyById(msg.id, client, box);
             const bodyContent =
               (full?.body?.contentType === 'text' ? full.body?.content : '') ||
               (full?.body?.contentType === 'html' ? full.body?.content : '') ||
               '';
             if (DEBUG) {
               dlog(`Body contentType=${full?.body?.contentType} length=${bodyContent.length}`);
-              dlog('Body snippet (first 400 chars):', bodyContent.slice(0, 400).replace(/\s+/g, ' '));
+              dlog('Body snippet (first 400 chars):', maskOtpDigits(bodyContent.slice(0, 400).replace(/\s+/g, ' ')));
             }
             otp = otp || extractOtp(subject) || extractOtp(preview) || extractOtp(bodyContent);
-            dlog('OTP after reading full body:', otp);
+            dlog('OTP after reading full body:', otp ? `found (length=${otp.length})` : 'none');
           }
 
           if (otp) {
             log('fetchOtpFromEmail success', { attempt, otpLength: otp.length });
+            await markOtpMessageConsumed(consumedKey(box, msg.id));
+            onConsumed?.({ id: msg.id, mailbox: box });
             return otp;
           }
         } else {
@@ -247,7 +518,7 @@ export async function fetchOtpFromEmail(
         await new Promise((r) => setTimeout(r, delay));
       }
     } catch (error) {
-      console.error('[OTP] fetchOtpFromEmail attempt failed:', error?.message || error);
+      logger.error('fetchOtpFromEmail attempt failed:', error?.message || error);
       dlog('OTP fetch attempt failed:', error?.message || error);
       if (attempt < maxRetries) await new Promise((r) => setTimeout(r, delay));
     }
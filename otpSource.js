@@ -0,0 +1,99 @@
+import { cleanUpOtpMessages, fetchOtpFromEmail, startGraphOtpWatch } from './otpFetcher.js';
+import { cleanUpImapOtpMessages, fetchOtpFromImap, getLatestImapMessageMeta } from './imapOtpFetcher.js';
+import { waitForManualOtp } from './manualOtp.js';
+import { waitForSmsOtp } from './smsOtp.js';
+
+/**
+ * An OTP source is what getAuth() talks to on the OTP page:
+ *   name                          e.g. "graph", "imap", "manual", "sms"
+ *   waitBeforeFetchMs             delay between reaching the OTP page and the first fetch
+ *   getBaseline()                 taken just before the code is requested: newest matching message id
+ *                                 for mailboxes, the submit time for SMS (or null)
+ *   fetchOtp(baseline)            resolves with a code newer than baseline, or null when none arrived
+ *   cleanUp()                     after a successful login: tidy the messages whose codes were used
+ *                                 (OTP_CONSUMED_ACTION; a no-op for manual and SMS)
+ *
+ * Mailbox sources share sender matching (matchSender), Inbox → Junk fallback and "newer than baseline" semantics.
+ */
+
+const OTP_POLL_RETRIES = 30;
+const OTP_POLL_DELAY_MS = 2000;
+
+function graphSource(account, { waitBeforeFetchMs }) {
+  // Set by getBaseline; polls then read only mail that arrived after it (GRAPH_OTP_POLL_MODE).
+  let watch = null;
+  // Every message whose code this login used, rejected ones included.
+  const used = [];
+  return {
+    name: 'graph',
+    waitBeforeFetchMs,
+    getBaseline: async () => {
+      watch = await startGraphOtpWatch(account.otpSender, account.mailbox);
+      return watch.baselineId;
+    },
+    fetchOtp: (baseline) =>
+      fetchOtpFromEmail(account.otpSender, OTP_POLL_RETRIES, OTP_POLL_DELAY_MS, 0, baseline, account.mailbox, {
+        watch,
+        onConsumed: (message) => used.push(message),
+      }),
+    cleanUp: () => cleanUpOtpMessages(used.splice(0)),
+  };
+}
+
+function imapSource(account, { waitBeforeFetchMs }) {
+  const used = [];
+  return {
+    name: 'imap',
+    waitBeforeFetchMs,
+    getBaseline: async () => (await getLatestImapMessageMeta(account.otpSender, account.imap))?.id ?? null,
+    fetchOtp: (baseline) =>
+      fetchOtpFromImap(account.otpSender, OTP_POLL_RETRIES, OTP_POLL_DELAY_MS, 0, baseline, account.imap, {
+        onConsumed: (meta) => used.push(meta),
+      }),
+    cleanUp: () => cleanUpImapOtpMessages(used.splice(0), account.imap),
+  };
+}
+
+function manualSource(account, { portal, manualTimeoutMs }) {
+  return {
+    name: 'manual',
+    waitBeforeFetchMs: 0,
+    getBaseline: async () => null,
+    fetchOtp: () => waitForManualOtp({ account: account.name, portal, timeoutMs: manualTimeoutMs }),
+    cleanUp: async () => {},
+  };
+}
+
+function smsSource(account, { smsTimeoutMs }) {
+  if (!account.phone) {
+    const err = new Error(`Account ${account.name} uses the SMS OTP policy but has no phone configured`);
+    err.code = 'MISSING_CONFIG';
+    throw err;
+  }
+  return {
+    name: 'sms',
+    waitBeforeFetchMs: 0,
+    getBaseline: async () => Date.now(),
+    fetchOtp: (baseline) => waitForSmsOtp({ phone: account.phone, sinceMs: baseline, timeoutMs: smsTimeoutMs }),
+    cleanUp: async () => {},
+  };
+}
+
+/**
+ * Pick the OTP source for an account: otpMode "manual", else SMS for otpPolicy "SMS",
+ * else the email provider ("graph" default, or "imap").
+ */
+export function createOtpSource(account, { portal } = {}) {
+  const waitBeforeFetchMs = Number(process.env.OTP_WAIT_MS || 10000);
+  const manualTimeoutMs = Number(process.env.MANUAL_OTP_TIMEOUT_MS || 0) || 120000;
+  const smsTimeoutMs = Number(process.env.SMS_OTP_TIMEOUT_MS || 0) || 120000;
+  if (account.otpMode === 'manual') return manualSource(account, { portal, manualTimeoutMs });
+  if (account.otpPolicy === 'SMS') return smsSource(account, { smsTimeoutMs });
+  if (account.emailProvider === 'imap') return imapSource(account, { waitBeforeFetchMs });
+  if (account.emailProvider && account.emailProvider !== 'graph') {
+    const err = new Error(`Unknown OTP email provider "${account.emailProvider}" for account ${account.name}`);
+    err.code = 'UNKNOWN_OTP_PROVIDER';
+    throw err;
+  }
+  return graphSource(account, { waitBeforeFetchMs });
+}
@@ -1,4 +1,6 @@
-const log = (...args) => console.log('[OTPUtils]', ...args);
+import { createLogger } from './logger.js';
+
+const log = createLogger('OTPUtils').info;
 
 function normalizeDigits(input) {
   if (input == null) return '';
@@ -46,3 +48,19 @@ export function extractOtp(text, opts = {}) {
     return null;
   }
 }
+
+/**
+ * Case-insensitive sender match that tolerates aliases: exact, substring, or same domain.
+ * Shared by every mailbox-based OTP source so they accept the same senders.
+ */
+export function matchSender(addr, wanted) {
+  const a = (addr || '').trim().toLowerCase();
+  const w = (wanted || '').trim().toLowerCase();
+  if (!a || !w) return false;
+  if (a === w) return true;
+  // Fallback: sometimes tenant normalizes casing/aliases
+  if (a.includes(w)) return true;
+  const domain = w.includes('@') ? w.split('@')[1] : '';
+  if (domain && a.endsWith(`@${domain}`)) return true;
+  return false;
+}
@@ -0,0 +1,144 @@
+import { authEvents, getAuthCacheInfo, refreshAuthInBackground } from './authService.js';
+import { listAccountNames } from './accounts.js';
+import { backgroundRequestId, createLogger, runWithRequestId } from './logger.js';
+
+const logger = createLogger('Refresh');
+const log = logger.info;
+
+const ENABLED = process.env.AUTH_BACKGROUND_REFRESH === 'true';
+// Refresh this long before the cached auth expires (JWT exp or fallback TTL, whichever is first).
+const REFRESH_MARGIN_MS = Number(process.env.AUTH_REFRESH_MARGIN_MS || 0) || 5 * 60 * 1000;
+const RETRY_BASE_MS = Number(process.env.AUTH_REFRESH_RETRY_BASE_MS || 0) || 30 * 1000;
+const RETRY_MAX_MS = Number(process.env.AUTH_REFRESH_RETRY_MAX_MS || 0) || 10 * 60 * 1000;
+// Floor between expiry-driven refreshes, so a token shorter-lived than the margin can't cause a login loop.
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+// setTimeout fires at once for delays past 2^31-1 ms (~24.8 days), so longer waits are chained.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// One entry per account/portal that has cached auth, keyed "<account>@<portal>".
+const entries = new Map();
+let started = false;
+
+function getEntry(account, portal) {
+  const key = `${account}@${portal}`;
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = {
+      account,
+      portal,
+      timer: null,
+      nextRefreshAtMs: null,
+      expiresAtMs: null,
+      lastRefreshAtMs: null,
+      lastError: null,
+      lastErrorAtMs: null,
+      consecutiveFailures: 0,
+      running: false,
+    };
+    entries.set(key, entry);
+  }
+  return entry;
+}
+
+function schedule(entry, atMs, reason) {
+  clearTimeout(entry.timer);
+  const delayMs = Math.max(0, atMs - Date.now());
+  entry.nextRefreshAtMs = Date.now() + delayMs;
+  armTimer(entry, entry.nextRefreshAtMs);
+  log('Next refresh scheduled', { account: entry.account, portal: entry.portal, inMs: delayMs, reason });
+}
+
+/** Wait for atMs in steps of at most MAX_TIMER_MS; the refresh runs only once it is actually due. */
+function armTimer(entry, atMs) {
+  entry.timer = setTimeout(() => {
+    if (Date.now() < atMs) {
+      armTimer(entry, atMs);
+      return;
+    }
+    // Own request id: the timer would otherwise inherit the id of whichever request's login scheduled it.
+    runWithRequestId(backgroundRequestId('refresh'), () => runRefresh(entry));
+  }, Math.min(MAX_TIMER_MS, Math.max(0, atMs - Date.now())));
+  // Don't keep the process alive just for a scheduled refresh.
+  entry.timer.unref?.();
+}
+
+function scheduleFromExpiry(entry, expiresAtMs) {
+  entry.expiresAtMs = expiresAtMs ?? null;
+  if (!expiresAtMs) {
+    clearTimeout(entry.timer);
+    entry.nextRefreshAtMs = null;
+    return;
+  }
+  schedule(entry, Math.max(expiresAtMs - REFRESH_MARGIN_MS, Date.now() + MIN_REFRESH_INTERVAL_MS), 'expiry');
+}
+
+async function runRefresh(entry) {
+  if (entry.running) return;
+  entry.running = true;
+  entry.nextRefreshAtMs = null;
+  try {
+    await refreshAuthInBackground({ account: entry.account, portal: entry.portal });
+    // The 'cached' event reschedules from the new expiry.
+    entry.lastRefreshAtMs = Date.now();
+    entry.consecutiveFailures = 0;
+    entry.lastError = null;
+  } catch (e) {
+    entry.consecutiveFailures += 1;
+    entry.lastError = { message: e?.message ?? 'unknown', code: e?.code ?? null };
+    entry.lastErrorAtMs = Date.now();
+    const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (entry.consecutiveFailures - 1));
+    logger.error('Background refresh failed:', entry.account, entry.portal, e?.message, `(retry in ${backoff}ms)`);
+    schedule(entry, Date.now() + backoff, `retry #${entry.consecutiveFailures}`);
+  } finally {
+    entry.running = false;
+  }
+}
+
+function onCached({ account, portal, expiresAtMs }) {
+  scheduleFromExpiry(getEntry(account, portal), expiresAtMs);
+}
+
+/**
+ * Start watching cached auth and refresh it AUTH_REFRESH_MARGIN_MS before it expires (AUTH_BACKGROUND_REFRESH=true).
+ * Seeds timers from the caches on disk for every account's default portal.
+ */
+export async function startRefreshScheduler() {
+  if (!ENABLED || started) return;
+  started = true;
+  authEvents.on('cached', onCached);
+  log('Background refresh enabled', { marginMs: REFRESH_MARGIN_MS, retryBaseMs: RETRY_BASE_MS, retryMaxMs: RETRY_MAX_MS });
+  for (const account of listAccountNames()) {
+    try {
+      const info = await getAuthCacheInfo({ account });
+      if (info.expiresAtMs) scheduleFromExpiry(getEntry(info.account, info.portal), info.expiresAtMs);
+    } catch (e) {
+      logger.error('Could not read cache for', account, e?.message);
+    }
+  }
+}
+
+export function stopRefreshScheduler() {
+  authEvents.off('cached', onCached);
+  for (const entry of entries.values()) clearTimeout(entry.timer);
+  started = false;
+}
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+export function getRefreshSchedulerStatus() {
+  return {
+    enabled: ENABLED,
+    marginMs: REFRESH_MARGIN_MS,
+    entries: Array.from(entries.values()).map((e) => ({
+      account: e.account,
+      portal: e.portal,
+      expiresAt: iso(e.expiresAtMs),
+      nextRefreshAt: iso(e.nextRefreshAtMs),
+      refreshing: e.running,
+      lastRefreshAt: iso(e.lastRefreshAtMs),
+      consecutiveFailures: e.consecutiveFailures,
+      lastError: e.lastError,
+      lastErrorAt: iso(e.lastErrorAtMs),
+    })),
+  };
+}
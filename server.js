@@ -1,27 +1,57 @@
 import 'dotenv/config';
 import express from 'express';
-import { getAuth } from './authService.js';
+import { getAuth, getAuthStatus, invalidateAuthCache, startAuthRefresh, startSessionProbeTimer, stopSessionProbeTimer } from './authService.js';
+import { getAccount, listAccountNames } from './accounts.js';
+import { listPendingManualOtps, submitManualOtp } from './manualOtp.js';
+import { receiveSms, verifySmsSignature } from './smsOtp.js';
+import { getRefreshSchedulerStatus, startRefreshScheduler, stopRefreshScheduler } from './refreshScheduler.js';
+import { closeBrowserPool, getBrowserPoolStatus, warmUpBrowserPool } from './browserManager.js';
+import { getArtifact, listArtifacts, resolveArtifactFile } from './artifacts.js';
+import { codedError, errorBody, errorInfo } from './errors.js';
+import { getLoginCircuitStatus } from './loginCircuit.js';
+import { closeAuthStore } from './authStore.js';
+import { getLoginRun, listLoginRuns } from './loginRuns.js';
+import { recordProxyRequest, registry, routeTemplate } from './metrics.js';
+import { getWebhookStatus, startWebhooks, stopWebhooks } from './webhooks.js';
+import { createAuthJob, getAuthJob, getAuthJobResult, subscribeAuthJob } from './authJobs.js';
+import { createLogger, requestIdMiddleware } from './logger.js';
+import { injectTraceHeaders, SpanKind, startTracing, stopTracing, traceRequests, withSpan } from './tracing.js';
 
-const log = (...args) => console.log('[Server]', ...args);
+const logger = createLogger('Server');
+const log = logger.info;
 
+const OTP_SUBMIT_TOKEN = (process.env.OTP_SUBMIT_TOKEN || '').trim();
+const DEBUG_ARTIFACTS_TOKEN = (process.env.DEBUG_ARTIFACTS_TOKEN || '').trim();
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
+const SMS_WEBHOOK_SECRET = (process.env.SMS_WEBHOOK_SECRET || '').trim();
 const AUTH_REQUEST_TIMEOUT_MS = Number(process.env.AUTH_REQUEST_TIMEOUT_MS || 0) || 180000; // 3 min default
 const BAYAN_BASE_URL = (process.env.BAYAN_BASE_URL || 'https://bayan.logisti.sa').replace(/\/$/, '');
 const BAYAN_PROXY_TIMEOUT_MS = Number(process.env.BAYAN_PROXY_TIMEOUT_MS || 0) || 120000; // 2 min default
 
+startTracing();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Global handlers so the process doesn't exit silently or crash without logging
 process.on('uncaughtException', (err) => {
-  console.error('[Server] uncaughtException:', err?.message || err);
-  console.error(err?.stack);
+  logger.error('uncaughtException:', err instanceof Error ? err : String(err));
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('[Server] unhandledRejection:', reason);
+  logger.error('unhandledRejection:', reason);
 });
 
-app.use(express.json());
+// X-Request-Id in (or generated) and out; every log line written while handling the request carries it.
+app.use(requestIdMiddleware);
+app.use(traceRequests);
+
+// Keep the raw bytes so signed webhooks can be verified against exactly what was sent.
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
 
 app.use((req, res, next) => {
   log('Request', req.method, req.path, req.ip || '-');
@@ -32,9 +62,44 @@ app.use((req, res, next) => {
   next();
 });
 
+/** Account profile name from ?account=, body.account or the X-Bayan-Account header (empty = default account). */
+function requestedAccount(req) {
+  const q = typeof req.query?.account === 'string' ? req.query.account : '';
+  const b = req.body && typeof req.body === 'object' && typeof req.body.account === 'string' ? req.body.account : '';
+  const h = req.get('X-Bayan-Account') || '';
+  return (q || b || h).trim() || undefined;
+}
+
+/** Portal key from ?portal=, body.portal or the X-Bayan-Portal header (empty = the account's portal). */
+function requestedPortal(req) {
+  const q = typeof req.query?.portal === 'string' ? req.query.portal : '';
+  const b = req.body && typeof req.body === 'object' && typeof req.body.portal === 'string' ? req.body.portal : '';
+  const h = req.get('X-Bayan-Portal') || '';
+  return (q || b || h).trim() || undefined;
+}
+
+/** Retry-After (seconds) for errors that say when to come back, e.g. LOGIN_CIRCUIT_OPEN. */
+function setRetryAfter(res, err) {
+  if (Number(err?.retryAfterMs) > 0) res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+}
+
+/** Success body of /auth (also the result of a finished auth job). */
+function authResponseBody(auth) {
+  return {
+    success: true,
+    account: auth?.account ?? null,
+    portal: auth?.portal ?? null,
+    cookie: auth?.cookie ?? {},
+    cookieHeader: auth?.cookieHeader ?? '',
+    accessToken: auth?.accessToken ?? null,
+    headers: auth?.headers ?? {},
+  };
+}
+
 /**
  * GET or POST /auth
  * Returns cookie and access token for Bayan (logisti.sa).
+ * ?account=<name> selects the account profile, ?portal=<key> the Bayan portal (see accounts.js).
  */
 app.all('/auth', async (req, res) => {
   log('/auth handler started');
@@ -44,49 +109,321 @@ app.all('/auth', async (req, res) => {
       ? setTimeout(() => {
           timedOut = true;
           if (!res.headersSent) {
-            res.status(504).json({
-              success: false,
-              error: 'Auth request timed out',
-              code: 'AUTH_TIMEOUT',
-            });
+            res.status(504).json(errorBody(codedError('AUTH_TIMEOUT', 'Auth request timed out')));
           }
         }, AUTH_REQUEST_TIMEOUT_MS)
       : null;
 
   try {
     if (timedOut) return;
-    const auth = await getAuth();
+    const auth = await getAuth({ account: requestedAccount(req), portal: requestedPortal(req) });
     if (timedOut || res.headersSent) return;
     clearTimeout(timeoutId);
     log('/auth success, returning cookie + token');
-    res.json({
-      success: true,
-      cookie: auth?.cookie ?? {},
-      cookieHeader: auth?.cookieHeader ?? '',
-      accessToken: auth?.accessToken ?? null,
-      headers: auth?.headers ?? {},
-    });
+    res.json(authResponseBody(auth));
   } catch (error) {
     if (timedOut || res.headersSent) return;
     clearTimeout(timeoutId);
-    console.error('[Server] /auth error:', error?.message, error?.code || '');
-    res.status(500).json({
+    logger.error('/auth error:', error?.message, error?.code || '');
+    setRetryAfter(res, error);
+    res.status(errorInfo(error).status).json({
+      ...errorBody(error),
+      artifactId: error?.artifactId ?? null,
+      debugScreenshot: error?.debugScreenshot ?? null,
+    });
+  }
+});
+
+/**
+ * GET /auth/status
+ * What is cached for the account/portal (JWT claims, cookie names and expiries, token source, in-flight login,
+ * last failure). Never logs in and never returns cookie values or the token.
+ */
+app.get('/auth/status', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getAuthStatus({ account: requestedAccount(req), portal: requestedPortal(req) })) });
+  } catch (error) {
+    logger.error('/auth/status error:', error?.message, error?.code || '');
+    res.status(errorInfo(error).status).json(errorBody(error));
+  }
+});
+
+/**
+ * POST /auth/jobs  { account?, portal? }
+ * Runs getAuth() in the background and answers 202 with a jobId right away (no AUTH_REQUEST_TIMEOUT_MS cut-off).
+ */
+app.post('/auth/jobs', (req, res) => {
+  try {
+    const job = createAuthJob({ account: requestedAccount(req), portal: requestedPortal(req) });
+    res.status(202).json({
+      success: true,
+      ...job,
+      statusUrl: `/auth/jobs/${job.jobId}`,
+      eventsUrl: `/auth/jobs/${job.jobId}/events`,
+    });
+  } catch (error) {
+    logger.error('/auth/jobs error:', error?.message, error?.code || '');
+    res.status(errorInfo(error).status).json(errorBody(error));
+  }
+});
+
+/**
+ * GET /auth/jobs/:id
+ * Job state and steps; result carries the /auth body once status is "succeeded".
+ */
+app.get('/auth/jobs/:id', (req, res) => {
+  const job = getAuthJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ success: false, error: 'Auth job not found', code: 'NOT_FOUND' });
+    return;
+  }
+  const auth = getAuthJobResult(job.jobId);
+  res.json({ success: true, ...job, result: auth ? authResponseBody(auth) : null });
+});
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /auth/jobs/:id/events
+ * Server-Sent Events: the steps so far, then each step as it happens ("step"), then one "done" { status, error }.
+ */
+app.get('/auth/jobs/:id/events', (req, res) => {
+  if (!getAuthJob(req.params.id)) {
+    res.status(404).json({ success: false, error: 'Auth job not found', code: 'NOT_FOUND' });
+    return;
+  }
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  };
+  req.on('close', close);
+  unsubscribe = subscribeAuthJob(req.params.id, (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === 'done') {
+      close();
+      res.end();
+    }
+  });
+});
+
+const OTP_SUBMIT_STATUS = {
+  OTP_INVALID: 400,
+  AMBIGUOUS_LOGIN: 409,
+  NO_PENDING_LOGIN: 409,
+  OTP_WINDOW_CLOSED: 410,
+};
+
+/** Require "Authorization: Bearer <token>" when token is set; responds 401 and returns false otherwise. */
+function checkBearerToken(token, req, res) {
+  if (!token) return true;
+  const h = req.get('Authorization') || '';
+  if (h === `Bearer ${token}`) return true;
+  res.status(401).json({ success: false, error: 'Unauthorized', code: 'UNAUTHORIZED' });
+  return false;
+}
+
+/** Like checkBearerToken, but the endpoint stays closed (503 MISSING_CONFIG) until its token is configured. */
+function requireBearerToken(token, envName, what, req, res) {
+  if (!token) {
+    res.status(503).json({ success: false, error: `${what} not configured (set ${envName})`, code: 'MISSING_CONFIG' });
+    return false;
+  }
+  return checkBearerToken(token, req, res);
+}
+
+/**
+ * GET /otp
+ * Lists logins waiting on the OTP page for a manually submitted code (OTP_MODE=manual).
+ */
+// Pending logins and a way to push codes into them: never open without OTP_SUBMIT_TOKEN.
+function checkOtpSubmit(req, res) {
+  return requireBearerToken(OTP_SUBMIT_TOKEN, 'OTP_SUBMIT_TOKEN', 'Manual OTP API', req, res);
+}
+
+app.get('/otp', (req, res) => {
+  if (!checkOtpSubmit(req, res)) return;
+  res.json({ success: true, pending: listPendingManualOtps() });
+});
+
+/**
+ * POST /otp  { code, account?, loginId? }
+ * Hands an OTP to a waiting login. Codes arriving after the window closed are rejected with 410.
+ */
+app.post('/otp', (req, res) => {
+  if (!checkOtpSubmit(req, res)) return;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  try {
+    const accepted = submitManualOtp({
+      code: body.code,
+      account: typeof body.account === 'string' && body.account.trim() ? body.account.trim() : undefined,
+      loginId: typeof body.loginId === 'string' && body.loginId.trim() ? body.loginId.trim() : undefined,
+    });
+    log('/otp accepted', accepted);
+    res.json({ success: true, ...accepted });
+  } catch (error) {
+    log('/otp rejected', error?.code, error?.message);
+    res.status(OTP_SUBMIT_STATUS[error?.code] || 500).json({
       success: false,
       error: error?.message ?? 'Unknown error',
       code: error?.code ?? null,
-      debugScreenshot: error?.debugScreenshot ?? null,
     });
   }
 });
 
+/**
+ * POST /webhooks/sms  { to, from, text }  (JSON or form; Twilio-style To/From/Body also accepted)
+ * Inbound SMS from the gateway for accounts with the SMS OTP policy.
+ * Signed: X-Timestamp + X-Signature: sha256=HMAC-SHA256(SMS_WEBHOOK_SECRET, `${timestamp}.${rawBody}`).
+ */
+app.post('/webhooks/sms', express.urlencoded({ extended: false, verify: keepRawBody }), (req, res) => {
+  if (!SMS_WEBHOOK_SECRET) {
+    res.status(503).json({ success: false, error: 'SMS webhook not configured', code: 'MISSING_CONFIG' });
+    return;
+  }
+  const valid = verifySmsSignature({
+    secret: SMS_WEBHOOK_SECRET,
+    rawBody: req.rawBody,
+    signature: req.get('X-Signature'),
+    timestamp: req.get('X-Timestamp'),
+  });
+  if (!valid) {
+    log('/webhooks/sms rejected: bad signature');
+    res.status(401).json({ success: false, error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+    return;
+  }
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const to = body.to ?? body.To;
+  const text = body.text ?? body.message ?? body.Body;
+  if (!to || !text) {
+    res.status(400).json({ success: false, error: 'Missing "to" or "text"', code: 'INVALID_PAYLOAD' });
+    return;
+  }
+  const result = receiveSms({ to, from: body.from ?? body.From, text });
+  res.json({ success: true, ...result });
+});
+
+// Screenshots and page HTML show the typed identity number: never served without DEBUG_ARTIFACTS_TOKEN.
+function checkDebugArtifacts(req, res) {
+  return requireBearerToken(DEBUG_ARTIFACTS_TOKEN, 'DEBUG_ARTIFACTS_TOKEN', 'Failure artifacts API', req, res);
+}
+
+/**
+ * GET /debug/artifacts → failed login attempts (newest first)
+ * GET /debug/artifacts/:id → meta.json + file list for one attempt
+ * GET /debug/artifacts/:id/:file → download screenshot.png, page.html, console.json, network.json, meta.json
+ */
+app.get('/debug/artifacts', async (req, res) => {
+  if (!checkDebugArtifacts(req, res)) return;
+  res.json({ success: true, artifacts: await listArtifacts() });
+});
+
+app.get('/debug/artifacts/:id', async (req, res) => {
+  if (!checkDebugArtifacts(req, res)) return;
+  const artifact = await getArtifact(req.params.id);
+  if (!artifact) {
+    res.status(404).json({ success: false, error: 'Artifact not found', code: 'NOT_FOUND' });
+    return;
+  }
+  res.json({ success: true, ...artifact });
+});
+
+app.get('/debug/artifacts/:id/:file', async (req, res) => {
+  if (!checkDebugArtifacts(req, res)) return;
+  const file = await resolveArtifactFile(req.params.id, req.params.file);
+  if (!file) {
+    res.status(404).json({ success: false, error: 'Artifact file not found', code: 'NOT_FOUND' });
+    return;
+  }
+  res.type(file.contentType).sendFile(file.path, { dotfiles: 'deny' });
+});
+
+/** Admin endpoints are off unless ADMIN_TOKEN is set: they can drop sessions and start logins. */
+function checkAdmin(req, res) {
+  return requireBearerToken(ADMIN_TOKEN, 'ADMIN_TOKEN', 'Admin API', req, res);
+}
+
+/**
+ * POST /admin/auth/invalidate  { account?, portal? }
+ * Drops the cached session (memory and store); the next /auth logs in again.
+ */
+app.post('/admin/auth/invalidate', async (req, res) => {
+  if (!checkAdmin(req, res)) return;
+  try {
+    const account = requestedAccount(req);
+    const portal = requestedPortal(req);
+    await invalidateAuthCache({ account, portal, reason: 'admin' });
+    log('/admin/auth/invalidate', { account: account ?? 'default', portal: portal ?? null });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('/admin/auth/invalidate error:', error?.message, error?.code || '');
+    res.status(errorInfo(error).status).json(errorBody(error));
+  }
+});
+
+/**
+ * POST /admin/auth/refresh  { account?, portal? }
+ * Starts a login in the background (the cached session is served until it lands) and answers 202 with its runId.
+ */
+app.post('/admin/auth/refresh', async (req, res) => {
+  if (!checkAdmin(req, res)) return;
+  try {
+    const started = await startAuthRefresh({ account: requestedAccount(req), portal: requestedPortal(req) });
+    log('/admin/auth/refresh', started);
+    res.status(202).json({ success: true, ...started });
+  } catch (error) {
+    logger.error('/admin/auth/refresh error:', error?.message, error?.code || '');
+    setRetryAfter(res, error);
+    res.status(errorInfo(error).status).json(errorBody(error));
+  }
+});
+
+/**
+ * GET /admin/login-runs?account=&limit= → recent login runs, newest first
+ * GET /admin/login-runs/:id → one run
+ */
+app.get('/admin/login-runs', (req, res) => {
+  if (!checkAdmin(req, res)) return;
+  res.json({ success: true, runs: listLoginRuns({ account: requestedAccount(req), limit: req.query?.limit }) });
+});
+
+app.get('/admin/login-runs/:id', (req, res) => {
+  if (!checkAdmin(req, res)) return;
+  const run = getLoginRun(req.params.id);
+  if (!run) {
+    res.status(404).json({ success: false, error: 'Login run not found', code: 'NOT_FOUND' });
+    return;
+  }
+  res.json({ success: true, run });
+});
+
 app.get('/health', (req, res) => {
   log('/health');
-  res.json({ ok: true });
+  res.json({
+    ok: true,
+    backgroundRefresh: getRefreshSchedulerStatus(),
+    browserPool: getBrowserPoolStatus(),
+    loginCircuit: getLoginCircuitStatus(),
+    webhooks: getWebhookStatus(),
+  });
+});
+
+/**
+ * GET /metrics
+ * Prometheus text format (see metrics.js). Requires "Authorization: Bearer <METRICS_TOKEN>" when that is set.
+ */
+app.get('/metrics', async (req, res) => {
+  if (!checkBearerToken(METRICS_TOKEN, req, res)) return;
+  res.set('Content-Type', registry.contentType).send(await registry.metrics());
 });
 
 /**
  * Proxy all Bayan API calls through this app so .NET (and others) never call bayan.logisti.sa directly.
  * Request to /bayan/api/... → get auth, then forward to BAYAN_BASE_URL/api/... with Cookie + Bearer.
+ * The X-Bayan-Account / X-Bayan-Portal headers select the account profile and portal (defaults when absent).
  */
 app.all(['/bayan', '/bayan/*'], (req, res) => {
   proxyToBayan(req, res);
@@ -113,7 +450,9 @@ async function proxyToBayan(req, res) {
   } catch (_) {}
 
   const targetUrl = BAYAN_BASE_URL + pathAndQuery;
-  log('Bayan proxy', req.method, rawPathAndQuery, bodyOverride ? '(tripId from query → body)' : '');
+  const account = (req.get('X-Bayan-Account') || '').trim() || undefined;
+  const portal = (req.get('X-Bayan-Portal') || '').trim() || undefined;
+  log('Bayan proxy', req.method, rawPathAndQuery, account ? `(account=${account})` : '', portal ? `(portal=${portal})` : '', bodyOverride ? '(tripId from query → body)' : '');
 
   const doUpstream = async (auth, attemptLabel = 'initial') => {
     const cookieHeader = auth?.cookieHeader || auth?.headers?.Cookie || auth?.headers?.cookie || '';
@@ -163,16 +502,38 @@ async function proxyToBayan(req, res) {
       opts.body = JSON.stringify(bodyOverride);
     }
 
-    const upstream = await fetch(targetUrl, opts);
-    return upstream;
+    const route = routeTemplate(pathAndQuery);
+    const spanAttributes = { 'http.request.method': req.method, 'url.full': targetUrl, 'url.template': route, 'bayan.proxy.attempt': attemptLabel };
+    return withSpan(
+      `${req.method} ${route}`,
+      async (span) => {
+        // W3C traceparent so Bayan-side traces (if any) join this one.
+        injectTraceHeaders(headers);
+        const startedAtMs = Date.now();
+        let status = 'error';
+        try {
+          const upstream = await fetch(targetUrl, opts);
+          status = upstream.status;
+          span.setAttribute('http.response.status_code', upstream.status);
+          return upstream;
+        } catch (e) {
+          if (e?.name === 'TimeoutError') status = 'timeout';
+          throw e;
+        } finally {
+          recordProxyRequest({ method: req.method, pathAndQuery, status, durationMs: Date.now() - startedAtMs });
+        }
+      },
+      { kind: SpanKind.CLIENT, attributes: spanAttributes }
+    );
   };
 
   let auth;
   try {
-    auth = await getAuth();
+    auth = await getAuth({ account, portal });
   } catch (e) {
-    console.error('[Server] Bayan proxy getAuth failed:', e?.message);
-    res.status(502).json({ success: false, error: 'Auth failed: ' + (e?.message ?? 'unknown') });
+    logger.error('Bayan proxy getAuth failed:', e?.message, e?.code || '');
+    setRetryAfter(res, e);
+    res.status(errorInfo(e).status).json(errorBody(e, 'Auth failed: ' + (e?.message ?? 'unknown')));
     return;
   }
 
@@ -201,10 +562,10 @@ async function proxyToBayan(req, res) {
         pathAndQuery,
       });
       try {
-        const freshAuth = await getAuth({ forceRefresh: true });
+        const freshAuth = await getAuth({ account, portal, forceRefresh: true });
         upstream = await doUpstream(freshAuth, 'forceRefresh');
       } catch (e) {
-        console.error('[Server] Bayan proxy forceRefresh failed:', e?.message);
+        logger.error('Bayan proxy forceRefresh failed:', e?.message);
         // Continue with original upstream result handling below.
       }
     }
@@ -244,24 +605,46 @@ async function proxyToBayan(req, res) {
     }
   } catch (e) {
     if (e.name === 'TimeoutError') {
-      res.status(504).json({ success: false, error: 'Bayan proxy timed out' });
+      res.status(504).json(errorBody(codedError('UPSTREAM_TIMEOUT', 'Bayan proxy timed out')));
       return;
     }
-    console.error('[Server] Bayan proxy fetch failed:', e?.message);
-    res.status(502).json({ success: false, error: 'Upstream request failed: ' + (e?.message ?? 'unknown') });
+    logger.error('Bayan proxy fetch failed:', e?.message);
+    res.status(502).json(errorBody(codedError('UPSTREAM_FAILED', 'Upstream request failed: ' + (e?.message ?? 'unknown'))));
+  }
+}
+
+/** Manual-mode logins can't get a code while /otp is closed; say so at startup rather than at the first timeout. */
+function warnManualOtpWithoutToken() {
+  if (OTP_SUBMIT_TOKEN) return;
+  try {
+    const manual = listAccountNames().filter((name) => getAccount(name).otpMode === 'manual');
+    if (manual.length) logger.error('OTP_MODE=manual but OTP_SUBMIT_TOKEN is not set; /otp answers 503 and these logins will time out:', manual.join(', '));
+  } catch (e) {
+    logger.error('Could not check accounts for manual OTP mode:', e?.message);
   }
 }
 
 const server = app.listen(PORT, () => {
   log('Listening', `http://localhost:${PORT}`);
-  log('Endpoints', `GET or POST ${PORT}/auth → cookie + accessToken`, 'GET /health → ok', `GET/POST ${PORT}/bayan/* → proxy to Bayan`);
+  log('Endpoints', `GET or POST ${PORT}/auth → cookie + accessToken`, 'GET /health → ok', 'GET/POST /otp → manual OTP', 'GET /debug/artifacts → failed login artifacts', `GET/POST ${PORT}/bayan/* → proxy to Bayan`);
   log('Auth timeout', `${AUTH_REQUEST_TIMEOUT_MS}ms`, 'Bayan base', BAYAN_BASE_URL);
+  warnManualOtpWithoutToken();
+  startRefreshScheduler().catch((e) => logger.error('Refresh scheduler failed to start:', e?.message));
+  warmUpBrowserPool();
+  startSessionProbeTimer();
+  startWebhooks();
 });
 
 function shutdown(signal) {
   log('Shutting down', signal);
-  server.close((err) => {
-    if (err) console.error('[Server] close error:', err?.message);
+  stopRefreshScheduler();
+  stopSessionProbeTimer();
+  server.close(async (err) => {
+    if (err) logger.error('close error:', err?.message);
+    await closeBrowserPool();
+    await stopWebhooks();
+    await stopTracing();
+    await closeAuthStore();
     process.exit(err ? 1 : 0);
   });
   setTimeout(() => process.exit(1), 10000);
@@ -0,0 +1,59 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('Probe').info;
+
+const BAYAN_BASE_URL = (process.env.BAYAN_BASE_URL || 'https://bayan.logisti.sa').replace(/\/$/, '');
+// Lightweight authenticated Bayan endpoint; unset disables probing.
+const PROBE_PATH = (process.env.SESSION_PROBE_PATH || '').trim();
+const PROBE_METHOD = (process.env.SESSION_PROBE_METHOD || 'GET').trim().toUpperCase();
+const PROBE_TIMEOUT_MS = Number(process.env.SESSION_PROBE_TIMEOUT_MS || 0) || 10000;
+
+export const SESSION_PROBE_ENABLED = Boolean(PROBE_PATH);
+// Re-check cached credentials older than this before handing them out.
+export const SESSION_PROBE_AFTER_MS = Number(process.env.SESSION_PROBE_AFTER_MS ?? 15 * 60 * 1000) || 0;
+// Periodic check of every cached session (0 disables).
+export const SESSION_PROBE_INTERVAL_MS = Number(process.env.SESSION_PROBE_INTERVAL_MS || 0) || 0;
+
+/**
+ * Call SESSION_PROBE_PATH with the cached cookies + bearer token.
+ * alive=false only on 401/403 or a redirect to the login page; network errors and 5xx are inconclusive
+ * (alive=true) so a Bayan outage doesn't throw away a good session.
+ * @returns {Promise<{ alive: boolean, status: number | null, reason: string }>}
+ */
+export async function probeSession(auth) {
+  if (!SESSION_PROBE_ENABLED) return { alive: true, status: null, reason: 'probe disabled' };
+  const cookieHeader = auth?.cookieHeader || auth?.headers?.Cookie || '';
+  const headers = {
+    Accept: 'application/json, text/plain, */*',
+    ...(auth?.headers && typeof auth.headers === 'object' ? auth.headers : {}),
+  };
+  if (cookieHeader) headers['Cookie'] = cookieHeader;
+  if (auth?.accessToken) headers['Authorization'] = `Bearer ${auth.accessToken}`;
+
+  const url = BAYAN_BASE_URL + (PROBE_PATH.startsWith('/') ? PROBE_PATH : `/${PROBE_PATH}`);
+  const start = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: PROBE_METHOD,
+      headers,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    });
+    await res.arrayBuffer().catch(() => null);
+    const location = res.headers.get('Location') || '';
+    const ms = Date.now() - start;
+    if (res.status === 401 || res.status === 403) {
+      log('Session probe: dead', { status: res.status, ms });
+      return { alive: false, status: res.status, reason: `HTTP ${res.status}` };
+    }
+    if (res.status >= 300 && res.status < 400 && /login/i.test(location)) {
+      log('Session probe: dead (redirect to login)', { status: res.status, ms });
+      return { alive: false, status: res.status, reason: 'redirect to login' };
+    }
+    log('Session probe: alive', { status: res.status, ms });
+    return { alive: true, status: res.status, reason: res.ok ? 'ok' : `HTTP ${res.status} (inconclusive)` };
+  } catch (e) {
+    log('Session probe inconclusive', e?.name, e?.message);
+    return { alive: true, status: null, reason: `probe failed: ${e?.message ?? 'unknown'} (inconclusive)` };
+  }
+}
@@ -0,0 +1,117 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { extractOtp } from './otpUtils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('SMS').info;
+
+// Inbound SMS kept briefly so a code that lands before fetchOtp() starts is not lost.
+const INBOX_RETENTION_MS = 10 * 60 * 1000;
+const MAX_SIGNATURE_SKEW_MS = 5 * 60 * 1000;
+
+const inbox = [];
+const waiters = new Set();
+
+/** Compare phone numbers by digits only, ignoring "+", "00" and a leading trunk "0". */
+export function normalizePhone(phone) {
+  const digits = String(phone ?? '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.replace(/^0+/, '');
+}
+
+function samePhone(a, b) {
+  const x = normalizePhone(a);
+  const y = normalizePhone(b);
+  if (!x || !y) return false;
+  if (x === y) return true;
+  // Local vs international form (e.g. 5XXXXXXXX vs 9665XXXXXXXX).
+  const shorter = x.length < y.length ? x : y;
+  const longer = x.length < y.length ? y : x;
+  return shorter.length >= 8 && longer.endsWith(shorter);
+}
+
+function pruneInbox() {
+  const cutoff = Date.now() - INBOX_RETENTION_MS;
+  while (inbox.length && inbox[0].receivedAtMs < cutoff) inbox.shift();
+}
+
+function takeMatching(phone, sinceMs) {
+  const sms = inbox.find((m) => !m.consumed && m.otp && m.receivedAtMs >= sinceMs && samePhone(m.to, phone));
+  if (sms) sms.consumed = true;
+  return sms ?? null;
+}
+
+/**
+ * Verify "X-Signature: sha256=<hex>" = HMAC-SHA256(secret, `${X-Timestamp}.${rawBody}`).
+ * The timestamp (ms or s since epoch) must be within 5 minutes to stop replays.
+ */
+export function verifySmsSignature({ secret, rawBody, signature, timestamp }) {
+  if (!secret || !signature || !timestamp) return false;
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return false;
+  const tsMs = ts < 1e12 ? ts * 1000 : ts;
+  if (Math.abs(Date.now() - tsMs) > MAX_SIGNATURE_SKEW_MS) return false;
+  const expected = createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody ?? Buffer.alloc(0))
+    .digest('hex');
+  const given = String(signature).replace(/^sha256=/i, '').trim().toLowerCase();
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(given, 'utf8');
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Record an inbound SMS posted by the gateway and hand its code to a waiting login for the same phone.
+ * Returns { otpFound, matched }.
+ */
+export function receiveSms({ to, from, text }) {
+  // Arrival is our receive time, not the gateway's clock, so it compares cleanly with the submit time.
+  const receivedAtMs = Date.now();
+  const otp = extractOtp(text);
+  const sms = { to: String(to ?? ''), from: String(from ?? ''), otp, receivedAtMs, consumed: false };
+  pruneInbox();
+  inbox.push(sms);
+  log('Inbound SMS', { to: normalizePhone(sms.to).slice(-4).padStart(8, '*'), otpFound: Boolean(otp) });
+  if (!otp) return { otpFound: false, matched: false };
+
+  for (const waiter of waiters) {
+    if (receivedAtMs >= waiter.sinceMs && samePhone(sms.to, waiter.phone)) {
+      sms.consumed = true;
+      waiter.resolve(otp);
+      return { otpFound: true, matched: true };
+    }
+  }
+  return { otpFound: true, matched: false };
+}
+
+/**
+ * Wait for an SMS code sent to phone at or after sinceMs (the login submit time). Resolves null on timeout.
+ */
+export function waitForSmsOtp({ phone, sinceMs, timeoutMs }) {
+  const since = Number(sinceMs) || Date.now();
+  const already = takeMatching(phone, since);
+  if (already) {
+    log('SMS OTP already received', { otpLength: already.otp.length });
+    return Promise.resolve(already.otp);
+  }
+  const ms = Math.max(1000, Number(timeoutMs) || 120000);
+  log('Waiting for SMS OTP', { phone: normalizePhone(phone).slice(-4).padStart(8, '*'), timeoutMs: ms });
+  return new Promise((resolve) => {
+    const waiter = {
+      phone,
+      sinceMs: since,
+      resolve: (otp) => {
+        clearTimeout(waiter.timer);
+        waiters.delete(waiter);
+        log('SMS OTP received', { otpLength: otp.length });
+        resolve(otp);
+      },
+      timer: null,
+    };
+    waiter.timer = setTimeout(() => {
+      waiters.delete(waiter);
+      log('SMS OTP wait timed out');
+      resolve(null);
+    }, ms);
+    waiters.add(waiter);
+  });
+}
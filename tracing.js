@@ -0,0 +1,208 @@
+import { appendFile } from 'fs/promises';
+import { context, propagation, SpanKind, SpanStatusCode, trace } from '@opentelemetry/api';
+import { ExportResultCode, hrTimeToMilliseconds } from '@opentelemetry/core';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { defaultResource, detectResources, envDetector, resourceFromAttributes } from '@opentelemetry/resources';
+import { BatchSpanProcessor, NodeTracerProvider, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-node';
+import { createLogger, getRequestId, redactString } from './logger.js';
+
+const logger = createLogger('Tracing');
+const log = logger.info;
+
+/**
+ * OpenTelemetry spans for the express handlers, getAuth(), login runs and their steps, Graph mailbox calls
+ * and the upstream Bayan fetch (which also carries the W3C traceparent header).
+ * OTEL_TRACES_EXPORTER picks where they go (comma-separated, default none = tracing off):
+ *   otlp     OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT (or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT)
+ *   console  one JSON line per span on stdout
+ *   file     one JSON line per span appended to OTEL_TRACES_FILE
+ * Without an exporter the API calls below are no-ops.
+ */
+
+const EXPORTERS = (process.env.OTEL_TRACES_EXPORTER || 'none')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter((s) => s && s !== 'none');
+const SERVICE_NAME = (process.env.OTEL_SERVICE_NAME || '').trim() || 'bayan-get-auth';
+const TRACES_FILE = (process.env.OTEL_TRACES_FILE && String(process.env.OTEL_TRACES_FILE).trim()) || '/tmp/bayan-auth-traces.jsonl';
+
+const tracer = trace.getTracer('bayan-get-auth');
+let provider = null;
+
+function spanToJson(span) {
+  return {
+    traceId: span.spanContext().traceId,
+    spanId: span.spanContext().spanId,
+    parentSpanId: span.parentSpanContext?.spanId ?? null,
+    name: span.name,
+    kind: SpanKind[span.kind],
+    startTime: new Date(hrTimeToMilliseconds(span.startTime)).toISOString(),
+    durationMs: Math.round(hrTimeToMilliseconds(span.duration) * 10) / 10,
+    status: { code: SpanStatusCode[span.status.code], message: span.status.message ?? undefined },
+    attributes: span.attributes,
+    events: span.events.map((e) => ({ name: e.name, time: new Date(hrTimeToMilliseconds(e.time)).toISOString(), attributes: e.attributes })),
+  };
+}
+
+/** Offline exporter: finished spans as JSON lines, to a file or stdout. */
+class JsonLinesSpanExporter {
+  constructor(file = null) {
+    this.file = file;
+  }
+
+  export(spans, resultCallback) {
+    const lines = spans.map((s) => JSON.stringify(spanToJson(s)) + '\n').join('');
+    if (!this.file) {
+      process.stdout.write(lines);
+      resultCallback({ code: ExportResultCode.SUCCESS });
+      return;
+    }
+    appendFile(this.file, lines, { encoding: 'utf8', mode: 0o600 })
+      .then(() => resultCallback({ code: ExportResultCode.SUCCESS }))
+      .catch((error) => resultCallback({ code: ExportResultCode.FAILED, error }));
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+function spanProcessor(name) {
+  if (name === 'otlp') return new BatchSpanProcessor(new OTLPTraceExporter());
+  if (name === 'console') return new SimpleSpanProcessor(new JsonLinesSpanExporter());
+  if (name === 'file') return new BatchSpanProcessor(new JsonLinesSpanExporter(TRACES_FILE));
+  logger.error(`Unknown OTEL_TRACES_EXPORTER "${name}"; ignored (use otlp, console, file or none)`);
+  return null;
+}
+
+/** Register the tracer provider (no-op unless OTEL_TRACES_EXPORTER names an exporter). Call before serving requests. */
+export function startTracing() {
+  if (provider || !EXPORTERS.length) return;
+  const spanProcessors = EXPORTERS.map(spanProcessor).filter(Boolean);
+  if (!spanProcessors.length) return;
+  provider = new NodeTracerProvider({
+    resource: defaultResource()
+      .merge(resourceFromAttributes({ 'service.name': SERVICE_NAME }))
+      .merge(detectResources({ detectors: [envDetector] })),
+    spanProcessors,
+  });
+  // AsyncLocalStorage context + W3C trace context / baggage propagation.
+  provider.register();
+  log('Enabled', { exporters: EXPORTERS, serviceName: SERVICE_NAME, ...(EXPORTERS.includes('file') ? { file: TRACES_FILE } : {}) });
+}
+
+/** Flush spans still queued for export. */
+export async function stopTracing() {
+  if (!provider) return;
+  const p = provider;
+  provider = null;
+  try {
+    await p.shutdown();
+  } catch (e) {
+    logger.error('Shutdown failed:', e?.message);
+  }
+}
+
+function failSpan(span, err) {
+  span.recordException(err instanceof Error ? err : new Error(String(err)));
+  span.setStatus({ code: SpanStatusCode.ERROR, message: redactString(err?.message ?? String(err)) });
+  if (err?.code) span.setAttribute('error.type', err.code);
+}
+
+/**
+ * Run fn(span) inside a new active span; errors are recorded on the span and rethrown.
+ * options: { attributes, kind } (kind: SpanKind, default INTERNAL).
+ */
+export function withSpan(name, fn, { attributes, kind } = {}) {
+  return tracer.startActiveSpan(name, { attributes, kind }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (e) {
+      failSpan(span, e);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * A span the caller ends, for work whose promise is shared (a single-flight login):
+ * { span, within(fn) runs fn with the span active, step(name, detail) starts a child span that lasts
+ * until the next step, end(err?, attributes?) ends the open step and the span }.
+ * Steps are siblings rather than parents of what runs during them, since the code between two steps
+ * is not a callback that could run inside the step's context.
+ */
+export function openSpan(name, { attributes, kind } = {}) {
+  const span = tracer.startSpan(name, { attributes, kind });
+  const ctx = trace.setSpan(context.active(), span);
+  let currentStep = null;
+  const closeStep = (err) => {
+    if (!currentStep) return;
+    if (err) failSpan(currentStep, err);
+    currentStep.end();
+    currentStep = null;
+  };
+  return {
+    span,
+    within: (fn) => context.with(ctx, fn),
+    step(stepName, detail = '') {
+      closeStep();
+      currentStep = tracer.startSpan(`Step: ${stepName}`, detail ? { attributes: { 'bayan.step.detail': redactString(detail) } } : {}, ctx);
+    },
+    end(err, endAttributes) {
+      closeStep(err);
+      if (endAttributes) span.setAttributes(endAttributes);
+      if (err) failSpan(span, err);
+      span.end();
+    },
+  };
+}
+
+/** Attributes on whatever span is active (e.g. the cache result on the getAuth span). */
+export function setSpanAttributes(attributes) {
+  trace.getActiveSpan()?.setAttributes(attributes);
+}
+
+/** Add traceparent (and baggage) for the active span to an outgoing headers object. */
+export function injectTraceHeaders(headers) {
+  propagation.inject(context.active(), headers);
+  return headers;
+}
+
+/**
+ * Express middleware: a SERVER span per request, continuing the caller's traceparent if any.
+ * Named "<METHOD> <route>" once the route is known; 5xx responses are marked as errors.
+ */
+export function traceRequests(req, res, next) {
+  const parent = propagation.extract(context.active(), req.headers);
+  const span = tracer.startSpan(
+    req.method,
+    {
+      kind: SpanKind.SERVER,
+      attributes: { 'http.request.method': req.method, 'url.path': req.path, ...(getRequestId() ? { 'bayan.request_id': getRequestId() } : {}) },
+    },
+    parent
+  );
+  res.once('finish', () => {
+    const route = req.route?.path;
+    if (route) {
+      const template = Array.isArray(route) ? route[route.length - 1] : String(route);
+      span.updateName(`${req.method} ${req.baseUrl || ''}${template}`);
+      span.setAttribute('http.route', `${req.baseUrl || ''}${template}`);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) span.setStatus({ code: SpanStatusCode.ERROR });
+    span.end();
+  });
+  // A client that goes away still ends the span.
+  res.once('close', () => {
+    if (!res.writableFinished && span.isRecording()) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: 'client closed the connection' });
+      span.end();
+    }
+  });
+  context.with(trace.setSpan(parent, span), next);
+}
+
+export { SpanKind };
@@ -0,0 +1,193 @@
+import { createHmac, randomUUID } from 'crypto';
+import { appendFile } from 'fs/promises';
+import { authEvents, getAuthStatus } from './authService.js';
+import { loginCircuitEvents } from './loginCircuit.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Webhooks');
+const log = logger.info;
+
+/**
+ * Outbound notifications for downstream consumers of /auth:
+ *   auth.refreshed    this instance logged in and cached a new session
+ *   auth.failed       a login run failed
+ *   auth.invalidated  a cached session was dropped (admin, failed probe, forced refresh)
+ *   circuit.open      logins for an account are paused (see loginCircuit.js)
+ * Each POST is signed like the inbound SMS webhook: X-Timestamp + X-Signature: sha256=HMAC(secret, `${ts}.${body}`).
+ * Failed deliveries are retried with exponential backoff, then appended to WEBHOOK_DEAD_LETTER_FILE (JSON lines).
+ */
+
+const URLS = (process.env.WEBHOOK_URLS || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+const SECRET = (process.env.WEBHOOK_SECRET || '').trim();
+const ALL_EVENTS = ['auth.refreshed', 'auth.failed', 'auth.invalidated', 'circuit.open'];
+const EVENTS = new Set(
+  (process.env.WEBHOOK_EVENTS || ALL_EVENTS.join(','))
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 0) || 5;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 0) || 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 0) || 10000;
+const DEAD_LETTER_FILE =
+  (process.env.WEBHOOK_DEAD_LETTER_FILE && String(process.env.WEBHOOK_DEAD_LETTER_FILE).trim()) ||
+  '/tmp/bayan-auth-webhooks-dead.jsonl';
+
+let started = false;
+const pending = new Set();
+// Wake-ups for deliveries sleeping between retries, so stopWebhooks doesn't wait out a backoff.
+const sleepers = new Set();
+const stats = { delivered: 0, retried: 0, deadLettered: 0, lastDeadLetterAtMs: null };
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function backoffSleep(ms) {
+  return new Promise((resolve) => {
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, ms);
+    sleepers.add(wake);
+  });
+}
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function sign(timestamp, body) {
+  return `sha256=${createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 408, 429 and 5xx are worth another try; any other status means the receiver won't take this payload.
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+async function deadLetter(entry) {
+  stats.deadLettered += 1;
+  stats.lastDeadLetterAtMs = Date.now();
+  logger.error('Giving up; writing to dead-letter log', { id: entry.id, url: entry.url, error: entry.lastError });
+  try {
+    await appendFile(DEAD_LETTER_FILE, JSON.stringify({ ...entry, failedAt: new Date().toISOString() }) + '\n', {
+      encoding: 'utf8',
+      mode: 0o600,
+    });
+  } catch (e) {
+    logger.error('Failed to write dead-letter log:', e?.message);
+  }
+}
+
+async function deliver(url, event) {
+  const body = JSON.stringify(event);
+  let lastError = null;
+  let attempts = 0;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (!started) {
+      // Shutting down: keep the event in the dead-letter log rather than dropping it.
+      lastError = `${lastError ?? 'not sent'}; stopped before retry`;
+      break;
+    }
+    attempts = attempt;
+    // Fresh timestamp per attempt so retries stay inside the receiver's signature window.
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let retryable = true;
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Timestamp': timestamp,
+          'X-Signature': sign(timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (res.ok) {
+        stats.delivered += 1;
+        log('Delivered', { id: event.id, type: event.type, url, attempt });
+        return;
+      }
+      lastError = `HTTP ${res.status}`;
+      retryable = isRetryableStatus(res.status);
+    } catch (e) {
+      lastError = e?.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS}ms` : e?.message ?? String(e);
+    }
+    if (!retryable || attempt === MAX_ATTEMPTS) break;
+    const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+    stats.retried += 1;
+    log('Delivery failed; retrying', { id: event.id, url, attempt, error: lastError, backoffMs: backoff });
+    await backoffSleep(backoff);
+  }
+  await deadLetter({ id: event.id, type: event.type, url, attempts, lastError, event });
+}
+
+/** Build the payload (with the non-secret /auth/status view) and post it to every WEBHOOK_URLS entry. */
+async function publish(type, { account, portal, ...data }) {
+  if (!EVENTS.has(type)) return;
+  let status = null;
+  try {
+    status = await getAuthStatus({ account, portal });
+  } catch (e) {
+    logger.error('Could not read auth status for', account, e?.message);
+  }
+  const event = { id: randomUUID(), type, occurredAt: new Date().toISOString(), account, portal: portal ?? status?.portal ?? null, data, status };
+  for (const url of URLS) {
+    const delivery = deliver(url, event).catch((e) => logger.error('Delivery crashed:', e?.message));
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+  }
+}
+
+const handlers = {
+  cached: ({ account, portal, cachedAtMs, expiresAtMs, source }) => {
+    // Adopting another instance's session isn't news: that instance already sent auth.refreshed.
+    if (source !== 'login') return;
+    publish('auth.refreshed', { account, portal, cachedAt: iso(cachedAtMs), expiresAt: iso(expiresAtMs) });
+  },
+  failed: ({ account, portal, code, message, runId, trigger }) => publish('auth.failed', { account, portal, code, message, runId, trigger }),
+  invalidated: ({ account, portal, reason }) => publish('auth.invalidated', { account, portal, reason }),
+};
+
+const onCircuitOpen = ({ account, code, failures, openUntilMs }) =>
+  publish('circuit.open', { account, code, failures, openUntil: iso(openUntilMs) });
+
+/** Subscribe to auth and circuit events (no-op without WEBHOOK_URLS and WEBHOOK_SECRET). */
+export function startWebhooks() {
+  if (started || !URLS.length) return;
+  if (!SECRET) {
+    logger.error('WEBHOOK_URLS is set but WEBHOOK_SECRET is not; webhooks stay disabled');
+    return;
+  }
+  started = true;
+  for (const [name, handler] of Object.entries(handlers)) authEvents.on(name, handler);
+  loginCircuitEvents.on('open', onCircuitOpen);
+  log('Enabled', { urls: URLS.length, events: Array.from(EVENTS), maxAttempts: MAX_ATTEMPTS, deadLetterFile: DEAD_LETTER_FILE });
+}
+
+/** Unsubscribe and wait (up to timeoutMs) for deliveries in progress; ones still waiting to retry are dead-lettered. */
+export async function stopWebhooks({ timeoutMs = 5000 } = {}) {
+  if (!started) return;
+  started = false;
+  for (const [name, handler] of Object.entries(handlers)) authEvents.off(name, handler);
+  loginCircuitEvents.off('open', onCircuitOpen);
+  for (const wake of Array.from(sleepers)) wake();
+  await Promise.race([Promise.allSettled(Array.from(pending)), delay(timeoutMs)]);
+}
+
+export function getWebhookStatus() {
+  return {
+    enabled: started,
+    urls: URLS.length,
+    events: Array.from(EVENTS),
+    pending: pending.size,
+    delivered: stats.delivered,
+    retried: stats.retried,
+    deadLettered: stats.deadLettered,
+    lastDeadLetterAt: iso(stats.lastDeadLetterAtMs),
+  };
+}